@@ -9,10 +9,32 @@ const CONFIG = {
     API_BASE_URL: '/.netlify/functions',
     /** @type {number} Duration for splash screen in milliseconds */
     SPLASH_DURATION: 3000,
-    /** @type {number} Interval for automatic data refresh in milliseconds */
+    /** @type {number} Base interval for fallback polling in milliseconds */
     REFRESH_INTERVAL: 15000,
+    /** @type {number} Upper bound for the polling interval after repeated failures */
+    MAX_REFRESH_INTERVAL: 300000,
+    /** @type {number} Delay to coalesce bursts of realtime change events, in milliseconds */
+    REALTIME_DEBOUNCE: 500,
     /** @type {number} Timeout for network requests in milliseconds */
     REQUEST_TIMEOUT: 10000,
+    /** @type {string} localStorage key for the student's recent request IDs */
+    MY_REQUESTS_KEY: 'myBookingRequests',
+    /** @type {number} Maximum number of recent requests remembered locally */
+    MAX_STORED_REQUESTS: 20,
+    /** @type {string} localStorage key for the student's waitlist entries */
+    MY_WAITLIST_KEY: 'myWaitlistEntries',
+    /** @type {string} localStorage key for the signed-in student's session */
+    SESSION_KEY: 'studentSession',
+    /** @type {number} How many days ahead can be booked; updated from the schedule API */
+    ADVANCE_BOOKING_DAYS: 7,
+    /** @type {number} How early before the start time check-in opens, in minutes */
+    CHECK_IN_EARLY_MINUTES: 10,
+    /** @type {number} How long after the start time check-in stays open; updated from the schedule API */
+    CHECK_IN_GRACE_MINUTES: 10,
+    /** @type {string} IANA timezone of the library; updated from the schedule API */
+    TIMEZONE: 'Asia/Dubai',
+    /** @type {number} Newest API payload version this app understands (X-API-Version) */
+    API_VERSION: 1,
 };
 
 /** 
@@ -22,16 +44,105 @@ const CONFIG = {
 let rooms = [];
 
 /** 
- * Pointer to the auto-refresh interval 
+ * Pointer to the next fallback poll 
  * @type {number|null}
  */
-let refreshInterval = null;
+let refreshTimer = null;
+
+/**
+ * Consecutive failed polls, used for exponential backoff
+ * @type {number}
+ */
+let refreshFailures = 0;
+
+/**
+ * Whether the Realtime channel is currently subscribed
+ * @type {boolean}
+ */
+let isRealtimeConnected = false;
+
+/**
+ * Pending debounced refresh triggered by a realtime event
+ * @type {number|null}
+ */
+let realtimeRefreshTimer = null;
+
+/**
+ * Rooms with availability for the slot chosen in the booking form, or null
+ * until date, start time and duration are all filled in
+ * @type {Array<Object>|null}
+ */
+let slotRooms = null;
+
+/**
+ * Incremented per slot availability lookup so stale responses are ignored
+ * @type {number}
+ */
+let slotRequestCounter = 0;
+
+/**
+ * Day currently shown in the timeline, as "YYYY-MM-DD"
+ * @type {string}
+ */
+let selectedDate = todayInLibrary();
+
+/**
+ * Active room list filters
+ * @type {{minCapacity: number, equipment: Set<string>}}
+ */
+const roomFilters = { minCapacity: 0, equipment: new Set() };
+
+/**
+ * Guards against sending the same booking request twice
+ * @type {boolean}
+ */
+let isSubmitting = false;
+
+/**
+ * Request that just failed with a conflict, offered for the waitlist
+ * @type {Object|null}
+ */
+let waitlistCandidate = null;
+
+/**
+ * Free room/slot alternatives currently shown for a conflicting request
+ * @type {Array<Object>}
+ */
+let slotSuggestions = [];
+
+/**
+ * When the oldest cached data on screen was fetched, while offline
+ * @type {Date|null}
+ */
+let offlineDataTime = null;
+
+/**
+ * Installed new version of the service worker, waiting to take over
+ * @type {ServiceWorker|null}
+ */
+let waitingWorker = null;
+
+/**
+ * Set once the student chose to reload into a new version
+ * @type {boolean}
+ */
+let isUpdating = false;
 
 // DOM Elements
 const splashScreen = document.getElementById('splash-screen');
 const mainApp = document.getElementById('main-app');
 const timelineContainer = document.getElementById('timeline-container');
 const timelineDate = document.getElementById('timeline-date');
+const prevDayBtn = document.getElementById('prev-day-btn');
+const nextDayBtn = document.getElementById('next-day-btn');
+const bookingDateInput = document.getElementById('booking-date');
+const bookingDateHint = document.getElementById('booking-date-hint');
+const groupMembersInput = document.getElementById('group-members');
+const groupSizeHint = document.getElementById('group-size-hint');
+const startTimeInput = document.getElementById('start-time');
+const durationSelect = document.getElementById('duration');
+const filterSizeSelect = document.getElementById('filter-size');
+const filterEquipment = document.getElementById('filter-equipment');
 const roomList = document.getElementById('room-list');
 const roomSelect = document.getElementById('room-select');
 const bookingForm = document.getElementById('booking-form');
@@ -42,6 +153,22 @@ const lastUpdatedEl = document.getElementById('last-updated');
 const rulesModal = document.getElementById('rules-modal');
 const acceptRulesBtn = document.getElementById('accept-rules-btn');
 const cancelRulesBtn = document.getElementById('cancel-rules-btn');
+const myRequestsSection = document.getElementById('my-requests-section');
+const myRequestsList = document.getElementById('my-requests-list');
+const checkInSection = document.getElementById('check-in-section');
+const checkInForm = document.getElementById('check-in-form');
+const checkInHint = document.getElementById('check-in-hint');
+const gracePeriodRule = document.getElementById('grace-period-rule');
+const signInSection = document.getElementById('sign-in-section');
+const signInForm = document.getElementById('sign-in-form');
+const bookingSection = document.getElementById('booking-section');
+const signedInId = document.getElementById('signed-in-id');
+const waitlistPrompt = document.getElementById('waitlist-prompt');
+const waitlistPromptMessage = document.getElementById('waitlist-prompt-message');
+const slotSuggestionsSection = document.getElementById('slot-suggestions');
+const slotSuggestionsList = document.getElementById('slot-suggestions-list');
+const offlineBanner = document.getElementById('offline-banner');
+const updateBanner = document.getElementById('update-banner');
 
 /**
  * Initializes the application, shows the splash screen, and starts background polling.
@@ -54,21 +181,116 @@ async function initApp() {
             mainApp.classList.remove('hidden');
             loadTimeline();
             loadRooms();
-            startAutoRefresh();
+            loadMyRequests();
+            startLiveUpdates();
         }, 500);
     }, CONFIG.SPLASH_DURATION);
 
+    bookingDateInput.value = selectedDate;
+    updateBookingDateRange();
+    renderGracePeriod();
     setMinimumStartTime();
+    renderSession();
+    completeSignIn();
 
     bookingForm.addEventListener('submit', handleBookingSubmit);
+    [bookingForm, signInForm].forEach(form => {
+        // Editing a highlighted input clears its error
+        const clearOnEdit = (e) => {
+            if (e.target.classList.contains('input-error')) {
+                clearFieldErrors(form);
+            }
+        };
+        form.addEventListener('input', clearOnEdit);
+        form.addEventListener('change', clearOnEdit);
+    });
+    bookingDateInput.addEventListener('change', () => {
+        setMinimumStartTime();
+        if (bookingDateInput.value) {
+            showTimelineDay(bookingDateInput.value);
+        }
+        loadSlotAvailability();
+    });
+    startTimeInput.addEventListener('change', loadSlotAvailability);
+    durationSelect.addEventListener('change', loadSlotAvailability);
+    prevDayBtn.addEventListener('click', () => showTimelineDay(shiftDate(selectedDate, -1)));
+    nextDayBtn.addEventListener('click', () => showTimelineDay(shiftDate(selectedDate, 1)));
     refreshBtn.addEventListener('click', () => {
         loadTimeline();
         loadRooms(true);
+        loadMyRequests();
+    });
+
+    myRequestsList.addEventListener('click', (e) => {
+        const cancelBtn = e.target.closest('[data-cancel-request]');
+        if (cancelBtn) {
+            cancelMyRequest(cancelBtn.dataset.cancelRequest, cancelBtn, cancelBtn.dataset.scope);
+        }
+
+        const checkInBtn = e.target.closest('[data-check-in-request]');
+        if (checkInBtn) {
+            checkInToRequest(checkInBtn.dataset.checkInRequest, checkInBtn);
+        }
+
+        const waitlistBtn = e.target.closest('[data-waitlist-action]');
+        if (waitlistBtn) {
+            updateMyWaitlistEntry(waitlistBtn.dataset.waitlistEntry, waitlistBtn.dataset.waitlistAction, waitlistBtn);
+        }
+
+        const inviteBtn = e.target.closest('[data-invite-action]');
+        if (inviteBtn) {
+            respondToGroupInvite(inviteBtn.dataset.inviteRequest, inviteBtn.dataset.inviteAction, inviteBtn);
+        }
+
+        const calendarBtn = e.target.closest('[data-calendar-request]');
+        if (calendarBtn) {
+            downloadCalendarEvent(calendarBtn.dataset.calendarRequest, calendarBtn);
+        }
+    });
+    document.getElementById('calendar-feed-btn').addEventListener('click', subscribeToCalendar);
+    document.getElementById('update-reload-btn').addEventListener('click', reloadForUpdate);
+
+    slotSuggestionsList.addEventListener('click', (e) => {
+        const suggestionBtn = e.target.closest('[data-suggestion]');
+        if (suggestionBtn) {
+            applySuggestion(slotSuggestions[parseInt(suggestionBtn.dataset.suggestion)]);
+        }
+    });
+
+    waitlistPrompt.addEventListener('click', (e) => {
+        const choiceBtn = e.target.closest('[data-waitlist-room]');
+        if (choiceBtn) {
+            joinWaitlist(choiceBtn.dataset.waitlistRoom);
+        }
     });
 
+    setupQrCheckIn();
+
     document.getElementById('student-id').addEventListener('input', (e) => {
         e.target.value = e.target.value.replace(/\D/g, '').substring(0, 7);
     });
+    signInForm.addEventListener('submit', requestSignInLink);
+    document.getElementById('sign-out-btn').addEventListener('click', () => signOut());
+    groupMembersInput.addEventListener('input', () => {
+        updateGroupSizeHint();
+        updateRoomSelect();
+    });
+    document.getElementById('repeat').addEventListener('change', (e) => {
+        document.getElementById('occurrences-group').classList.toggle('hidden', !e.target.value);
+    });
+
+    filterSizeSelect.addEventListener('change', () => {
+        roomFilters.minCapacity = parseInt(filterSizeSelect.value) || 0;
+        renderRooms();
+    });
+    filterEquipment.addEventListener('change', (e) => {
+        if (e.target.checked) {
+            roomFilters.equipment.add(e.target.value);
+        } else {
+            roomFilters.equipment.delete(e.target.value);
+        }
+        renderRooms();
+    });
 
     // Modal event listeners
     acceptRulesBtn.addEventListener('click', submitBookingAfterAcceptance);
@@ -86,18 +308,167 @@ async function initApp() {
 }
 
 /**
- * Restricts the start time input to values at or after the current time.
+ * Restricts the start time input to values at or after the current time
+ * when booking for today.
  */
 function setMinimumStartTime() {
-    const now = new Date();
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
-    document.getElementById('start-time').min = `${hours}:${minutes}`;
+    if (bookingDateInput.value !== todayInLibrary()) {
+        startTimeInput.removeAttribute('min');
+        return;
+    }
+
+    const now = getZonedParts(new Date());
+    const hours = String(now.hour).padStart(2, '0');
+    const minutes = String(now.minute).padStart(2, '0');
+    startTimeInput.min = `${hours}:${minutes}`;
+}
+
+/**
+ * Limits the booking date input to today through the advance-booking horizon.
+ */
+function updateBookingDateRange() {
+    const today = todayInLibrary();
+    const days = CONFIG.ADVANCE_BOOKING_DAYS;
+    bookingDateInput.min = today;
+    bookingDateInput.max = shiftDate(today, days);
+    bookingDateHint.textContent = days === 0 ? 'Today only' : `Up to ${days} ${days === 1 ? 'day' : 'days'} in advance`;
+    prevDayBtn.disabled = selectedDate <= today;
+    nextDayBtn.disabled = selectedDate >= bookingDateInput.max;
+}
+
+/**
+ * Shows the check-in grace period in the check-in hint and the booking rules.
+ */
+function renderGracePeriod() {
+    checkInHint.textContent = `Check in within ${CONFIG.CHECK_IN_GRACE_MINUTES} minutes of your start time to keep the room`;
+    gracePeriodRule.textContent = `${CONFIG.CHECK_IN_GRACE_MINUTES} minutes grace period`;
+}
+
+/**
+ * Switches the timeline to another day.
+ * @param {string} dateString - Format "YYYY-MM-DD".
+ */
+function showTimelineDay(dateString) {
+    selectedDate = dateString;
+    updateBookingDateRange();
+    loadTimeline();
+}
+
+/**
+ * Formats a Date as "YYYY-MM-DD" using the local calendar date.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateInput(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Splits an instant into wall-clock fields in the library timezone.
+ * @param {Date} date
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: CONFIG.TIMEZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value);
+        }
+    });
+    return parts;
+}
+
+/**
+ * Today's date in the library timezone, as "YYYY-MM-DD".
+ * @returns {string}
+ */
+function todayInLibrary() {
+    const { year, month, day } = getZonedParts(new Date());
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Converts a library wall-clock date and time to an instant, mirroring
+ * zonedTimeToUtc in the functions so both sides agree across DST changes.
+ * @param {string} dateString - Format "YYYY-MM-DD".
+ * @param {string} timeString - Format "HH:MM".
+ * @returns {Date}
+ */
+function zonedTimeToDate(dateString, timeString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hours, minutes] = timeString.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    const offsetAt = (time) => {
+        const parts = getZonedParts(new Date(time));
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - Math.floor(time / 1000) * 1000;
+    };
+
+    const firstOffset = offsetAt(wallClock);
+    const firstGuess = wallClock - firstOffset;
+    const secondOffset = offsetAt(firstGuess);
+
+    if (firstOffset === secondOffset) {
+        return new Date(firstGuess);
+    }
+
+    const secondGuess = wallClock - secondOffset;
+    if (offsetAt(secondGuess) === secondOffset) {
+        return new Date(secondGuess);
+    }
+
+    // Neither offset round-trips: the time falls in a DST gap
+    return new Date(Math.max(firstGuess, secondGuess));
+}
+
+/**
+ * Formats the time of an instant in the library timezone, e.g. "2:30 PM".
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatLibraryTime(date) {
+    return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: CONFIG.TIMEZONE });
+}
+
+/**
+ * Parses a "YYYY-MM-DD" string as local midnight.
+ * @param {string} dateString
+ * @returns {Date}
+ */
+function parseDateInput(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Moves a "YYYY-MM-DD" date by a number of days.
+ * @param {string} dateString
+ * @param {number} days
+ * @returns {string}
+ */
+function shiftDate(dateString, days) {
+    const date = parseDateInput(dateString);
+    date.setDate(date.getDate() + days);
+    return formatDateInput(date);
 }
 
 /**
  * Loads room availability from the API.
  * @param {boolean} [isManualRefresh=false] - Whether the refresh was user-initiated.
+ * @returns {Promise<boolean>} Whether the rooms loaded.
  */
 async function loadRooms(isManualRefresh = false) {
     try {
@@ -105,7 +476,10 @@ async function loadRooms(isManualRefresh = false) {
             refreshBtn.style.animation = 'spin 1s linear';
         }
 
-        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/getRooms`);
+        // Signed-in students get restricted rooms unlocked for their group
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/getRooms`, {
+            headers: authHeaders(),
+        });
 
         if (!response.ok) {
             throw new Error('Failed to fetch rooms');
@@ -113,16 +487,18 @@ async function loadRooms(isManualRefresh = false) {
 
         rooms = await response.json();
         renderRooms();
-        updateRoomSelect();
+        loadSlotAvailability();
         updateLastUpdated();
 
         if (isManualRefresh) {
             showToast('Room status updated', 'success');
         }
+        return true;
     } catch (error) {
         console.error('Error loading rooms:', error);
         roomList.innerHTML = '<div class="error-message">Unable to load rooms. Please try again.</div>';
         showToast('Failed to load rooms', 'error');
+        return false;
     } finally {
         if (isManualRefresh) {
             setTimeout(() => {
@@ -133,7 +509,7 @@ async function loadRooms(isManualRefresh = false) {
 }
 
 /**
- * Renders the room availability list in the UI.
+ * Renders the room availability list in the UI, applying the active filters.
  */
 function renderRooms() {
     if (!rooms || rooms.length === 0) {
@@ -141,32 +517,152 @@ function renderRooms() {
         return;
     }
 
-    roomList.innerHTML = rooms.map(room => `
-        <div class="room-item">
-            <div class="room-status-indicator ${room.is_available ? 'available' : 'taken'}"></div>
-            <div class="room-info">
-                <div class="room-name">${escapeHtml(room.name)}</div>
-            </div>
-            <div class="room-status-text ${room.is_available ? 'available' : 'taken'}">
-                ${room.is_available ? 'Available' : 'Taken'}
+    renderEquipmentFilters();
+
+    const filteredRooms = rooms.filter(room =>
+        (room.capacity || 0) >= roomFilters.minCapacity &&
+        [...roomFilters.equipment].every(tag => (room.equipment || []).includes(tag))
+    );
+
+    if (filteredRooms.length === 0) {
+        roomList.innerHTML = '<div class="loading-message">No rooms match these filters</div>';
+        return;
+    }
+
+    roomList.innerHTML = filteredRooms.map(room => {
+        const status = room.is_restricted ? 'locked' : (room.is_available ? 'available' : 'taken');
+        const statusText = { locked: 'Locked', available: 'Available', taken: 'Taken' }[status];
+
+        const details = [
+            room.capacity ? `Up to ${room.capacity} people` : '',
+            room.location || (room.floor !== null && room.floor !== undefined ? `Floor ${room.floor}` : ''),
+            room.access_group ? formatAccessGroup(room.access_group) : '',
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="room-item">
+                ${room.photo_url ? `<img class="room-photo" src="${escapeAttribute(room.photo_url)}" alt="" loading="lazy">` : ''}
+                <div class="room-status-indicator ${status}"></div>
+                <div class="room-info">
+                    <div class="room-name">${escapeHtml(room.name)}</div>
+                    ${details ? `<div class="room-type">${escapeHtml(details)}</div>` : ''}
+                    ${(room.equipment || []).length > 0 ? `
+                        <div class="equipment-tags">
+                            ${room.equipment.map(tag => `<span class="equipment-tag">${escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                    <a class="room-calendar-link" href="${escapeAttribute(roomCalendarUrl(room.id))}">Subscribe to schedule</a>
+                </div>
+                <div class="room-status-text ${status}">
+                    ${statusText}
+                </div>
             </div>
-        </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders one checkbox per equipment tag offered by any room.
+ */
+function renderEquipmentFilters() {
+    const tags = [...new Set(rooms.flatMap(room => room.equipment || []))].sort();
+
+    filterEquipment.innerHTML = tags.map(tag => `
+        <label class="equipment-filter">
+            <input type="checkbox" value="${escapeAttribute(tag)}" ${roomFilters.equipment.has(tag) ? 'checked' : ''}>
+            ${escapeHtml(tag)}
+        </label>
     `).join('');
 }
 
 /**
- * Updates the booking form dropdown with currently available rooms.
+ * Formats an access group name for display, e.g. "postgraduate" -> "Postgraduate only".
+ * @param {string} group
+ * @returns {string}
+ */
+function formatAccessGroup(group) {
+    return `${group.charAt(0).toUpperCase()}${group.slice(1)} only`;
+}
+
+/**
+ * Loads room availability for the slot chosen in the booking form and
+ * refreshes the room dropdown with it.
+ * @returns {Promise<void>}
+ */
+async function loadSlotAvailability() {
+    const requestNumber = ++slotRequestCounter;
+    const date = bookingDateInput.value;
+    const startTime = startTimeInput.value;
+    const duration = durationSelect.value;
+
+    if (!date || !startTime || !duration) {
+        slotRooms = null;
+        updateRoomSelect();
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({ date, start_time: startTime, duration });
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/getRooms?${params}`, {
+            headers: authHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch room availability');
+        }
+
+        const data = await response.json();
+
+        // A newer lookup started while this one was in flight
+        if (requestNumber !== slotRequestCounter) {
+            return;
+        }
+
+        slotRooms = data;
+    } catch (error) {
+        console.error('Error loading slot availability:', error);
+        if (requestNumber !== slotRequestCounter) {
+            return;
+        }
+        slotRooms = null;
+    }
+
+    updateRoomSelect();
+}
+
+/**
+ * Updates the booking form dropdown. Once a slot is chosen, rooms are listed
+ * by their availability for that slot, with booked ones disabled; before
+ * that, every room the group fits is offered. Restricted rooms are listed as
+ * locked, disabled options.
  */
 function updateRoomSelect() {
-    const availableRooms = rooms.filter(room => room.is_available);
+    const previousValue = roomSelect.value;
+    const partySize = getGroupMembers().length + 1;
+    const source = slotRooms || rooms;
+    const fittingRooms = source.filter(room => !room.is_restricted && (room.capacity || 0) >= partySize);
+    const availableRooms = slotRooms ? fittingRooms.filter(room => room.is_available) : fittingRooms;
+    const bookedRooms = slotRooms ? fittingRooms.filter(room => !room.is_available) : [];
+    const lockedRooms = source.filter(room => room.is_restricted);
 
-    roomSelect.innerHTML = '<option value="">Choose an available room...</option>' +
+    roomSelect.innerHTML = `<option value="">${slotRooms ? 'Choose an available room...' : 'Choose a room...'}</option>` +
         availableRooms.map(room => `
             <option value="${room.id}">${escapeHtml(room.name)}</option>
+        `).join('') +
+        bookedRooms.map(room => `
+            <option value="${room.id}" disabled>${escapeHtml(room.name)} (booked at this time)</option>
+        `).join('') +
+        lockedRooms.map(room => `
+            <option value="${room.id}" disabled>&#128274; ${escapeHtml(room.name)} (${escapeHtml(formatAccessGroup(room.access_group))})</option>
         `).join('');
 
+    // Keep the student's choice across refreshes while it's still bookable
+    if (availableRooms.some(room => String(room.id) === previousValue)) {
+        roomSelect.value = previousValue;
+    }
+
     if (availableRooms.length === 0) {
-        roomSelect.innerHTML = '<option value="">No rooms available</option>';
+        roomSelect.innerHTML = `<option value="">${slotRooms ? 'No rooms available at this time' : 'No rooms available'}</option>`;
         roomSelect.disabled = true;
     } else {
         roomSelect.disabled = false;
@@ -193,33 +689,27 @@ async function handleBookingSubmit(e) {
     e.preventDefault();
 
     const formData = new FormData(bookingForm);
-    const studentId = formData.get('student-id').trim();
-    const roomId = formData.get('room');
-    const startTime = formData.get('start-time');
-    const duration = formData.get('duration');
-
-    if (!validateStudentId(studentId)) {
-        showToast('Please enter a valid 6-digit student ID', 'error');
-        return;
-    }
-
-    if (!roomId) {
-        showToast('Please select a room', 'error');
-        return;
-    }
 
-    if (!startTime) {
-        showToast('Please select a start time', 'error');
+    if (!getSession()) {
+        showToast('Please sign in to request a room', 'error');
+        renderSession();
         return;
     }
 
-    if (!duration) {
-        showToast('Please select a duration', 'error');
-        return;
-    }
+    // The same checks submitBookingRequest runs
+    const invalid = Validation.validateBookingRequest({
+        room_id: formData.get('room'),
+        date: formData.get('date'),
+        start_time: formData.get('start-time'),
+        duration: formData.get('duration'),
+        members: getGroupMembers(),
+    }, {
+        organizerId: getSession().student_id,
+        toInstant: zonedTimeToDate,
+    });
 
-    if (!isStartTimeValid(startTime)) {
-        showToast('Start time must be in the future', 'error');
+    if (invalid) {
+        showFieldError(bookingForm, invalid);
         return;
     }
 
@@ -228,120 +718,1220 @@ async function handleBookingSubmit(e) {
 }
 
 /**
- * Validates the student ID format (6-7 numerical digits).
- * @param {string} id - Input ID.
- * @returns {boolean}
+ * Reads the signed-in student's session, dropping it once the token expires.
+ * @returns {{token: string, student_id: string}|null}
  */
-function validateStudentId(id) {
-    return /^[0-9]{6,7}$/.test(id);
+function getSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(CONFIG.SESSION_KEY));
+        if (!session || !session.token) {
+            return null;
+        }
+
+        // The expiry is only read here to avoid sending a stale token; the
+        // server verifies the signature
+        const payload = JSON.parse(atob(session.token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        if (payload.exp * 1000 <= Date.now()) {
+            localStorage.removeItem(CONFIG.SESSION_KEY);
+            return null;
+        }
+        return session;
+    } catch (error) {
+        return null;
+    }
 }
 
 /**
- * Checks if a given time string represents a point in the future.
- * @param {string} timeString - Format "HH:MM".
- * @returns {boolean}
+ * Adds the session token to a set of request headers.
+ * @param {Object} [headers={}]
+ * @returns {Object}
  */
-function isStartTimeValid(timeString) {
-    const now = new Date();
-    const [hours, minutes] = timeString.split(':').map(Number);
-    const selectedTime = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
-    return selectedTime > now;
+function authHeaders(headers = {}) {
+    const session = getSession();
+    return session ? { ...headers, Authorization: `Bearer ${session.token}` } : headers;
 }
 
 /**
- * Shows the booking rules modal.
+ * Signs the student out when the server rejected their session.
+ * @param {Response} response
+ * @returns {boolean} Whether the session had expired.
  */
-function showRulesModal() {
-    rulesModal.classList.remove('hidden');
-    // Focus the accept button for accessibility
-    setTimeout(() => acceptRulesBtn.focus(), 100);
+function handleSessionExpired(response) {
+    if (response.status !== 401) {
+        return false;
+    }
+    signOut('Your session has expired. Please sign in again.');
+    return true;
 }
 
 /**
- * Hides the booking rules modal.
+ * Shows the booking form when signed in and the sign-in form otherwise.
  */
-function hideRulesModal() {
-    rulesModal.classList.add('hidden');
+function renderSession() {
+    const session = getSession();
+    signInSection.classList.toggle('hidden', Boolean(session));
+    bookingSection.classList.toggle('hidden', !session);
+    signedInId.textContent = session ? session.student_id : '';
 }
 
 /**
- * Submits the booking request after user accepts the rules.
+ * Emails the student a sign-in link for their university address.
+ * @param {Event} e - Submit event.
  */
-async function submitBookingAfterAcceptance() {
-    hideRulesModal();
+async function requestSignInLink(e) {
+    e.preventDefault();
 
-    const formData = new FormData(bookingForm);
-    const studentId = formData.get('student-id').trim();
-    const roomId = formData.get('room');
-    const startTime = formData.get('start-time');
-    const duration = formData.get('duration');
+    const studentId = document.getElementById('student-id').value.trim();
+    if (!Validation.isValidStudentId(studentId)) {
+        showFieldError(signInForm, Validation.validationError(Validation.ERROR_CODES.INVALID_STUDENT_ID,
+            'student_id', 'Please enter a valid 6-7 digit student ID'));
+        return;
+    }
 
-    submitBtn.disabled = true;
-    submitBtn.textContent = 'Sending request...';
+    const signInBtn = document.getElementById('sign-in-btn');
+    signInBtn.disabled = true;
 
     try {
-        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/submitBookingRequest`, {
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/requestLoginLink`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({
-                student_id: studentId,
-                room_id: parseInt(roomId),
-                start_time: startTime,
-                duration: parseInt(duration),
-            }),
+            body: JSON.stringify({ student_id: studentId }),
         });
 
         const data = await response.json();
 
-        if (response.ok) {
-            showToast('Request sent to librarians for approval!', 'success');
-            bookingForm.reset();
-            loadRooms();
-        } else {
-            showToast(data.message || 'Failed to submit request', 'error');
+        if (!response.ok) {
+            showFieldError(signInForm, { message: 'Failed to send sign-in link', ...data });
+            return;
+        }
+
+        // The development identity provider hands the link back directly
+        if (data.login_url) {
+            window.location.href = data.login_url;
+            return;
         }
+
+        showToast(data.message, 'success');
     } catch (error) {
-        console.error('Error submitting booking:', error);
-        showToast('Unable to submit request. Please try again.', 'error');
+        console.error('Error requesting sign-in link:', error);
+        showToast('Unable to send sign-in link. Please try again.', 'error');
     } finally {
-        submitBtn.disabled = false;
-        submitBtn.textContent = 'Request Room';
+        signInBtn.disabled = false;
     }
 }
 
 /**
- * Displays a toast notification.
- * @param {string} message - Notification text.
- * @param {string} [type='success'] - 'success', 'error', or 'warning'.
+ * Exchanges the sign-in link secret in the address bar (?login=<secret>)
+ * for a session.
  */
-function showToast(message, type = 'success') {
-    toast.textContent = message;
-    toast.className = `toast ${type}`;
-    void toast.offsetWidth; // Force reflow
-    toast.classList.remove('hidden');
+async function completeSignIn() {
+    const params = new URLSearchParams(window.location.search);
+    const secret = params.get('login');
+    if (!secret) {
+        return;
+    }
 
-    setTimeout(() => {
-        toast.classList.add('hidden');
-    }, 4000);
-}
+    // Drop the secret from the address bar and history; it only works once
+    params.delete('login');
+    window.history.replaceState(null, '', `${window.location.pathname}${params.toString() ? `?${params}` : ''}`);
 
-/**
- * Wrapper for fetch that adds a configurable timeout.
- * @param {string} url - Request URL.
- * @param {Object} [options={}] - Fetch options.
- * @returns {Promise<Response>}
- */
-function fetchWithTimeout(url, options = {}) {
-    return Promise.race([
-        fetch(url, options),
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/verifyLoginLink`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ secret }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(data.message || 'Failed to sign in', 'error');
+            return;
+        }
+
+        localStorage.setItem(CONFIG.SESSION_KEY, JSON.stringify({ token: data.token, student_id: data.student_id }));
+        renderSession();
+        showToast(`Signed in as ${data.student_id}`, 'success');
+        loadTimeline();
+        loadRooms();
+        loadMyRequests();
+    } catch (error) {
+        console.error('Error completing sign-in:', error);
+        showToast('Unable to sign in. Please try again.', 'error');
+    }
+}
+
+/**
+ * Ends the student's session on this device.
+ * @param {string} [message] - Shown instead of the default sign-out toast.
+ */
+function signOut(message) {
+    localStorage.removeItem(CONFIG.SESSION_KEY);
+    renderSession();
+    hideWaitlistPrompt();
+    hideSlotSuggestions();
+    myRequestsSection.classList.add('hidden');
+    showToast(message || 'Signed out', message ? 'warning' : 'success');
+
+    // Cached schedules were fetched as the student, so drop them first
+    clearCachedData().then(() => {
+        loadTimeline();
+        loadRooms();
+    });
+}
+
+/**
+ * Student IDs typed into the group members field.
+ * @returns {string[]}
+ */
+function getGroupMembers() {
+    return groupMembersInput.value.split(/[\s,;]+/).filter(Boolean);
+}
+
+/**
+ * Shows the group size implied by the members typed so far.
+ */
+function updateGroupSizeHint() {
+    const count = getGroupMembers().length;
+    groupSizeHint.textContent = count > 0
+        ? `Group of ${count + 1}, including you. Each member is asked to confirm.`
+        : 'Student IDs of everyone else in your group (one to five people). Each member is asked to confirm.';
+}
+
+/**
+ * Highlights the input a validation error is about and shows the message
+ * under it. Errors that aren't about a single input are shown as a toast.
+ * @param {HTMLFormElement} form
+ * @param {{code?: string, field?: string|null, message: string}} error - As
+ *     returned by Validation or by the functions.
+ */
+function showFieldError(form, error) {
+    clearFieldErrors(form);
+
+    const input = error.field ? form.querySelector(`[data-field="${error.field}"]`) : null;
+
+    // Hidden inputs, such as the session count of a one-off booking, can't be highlighted
+    if (!input || input.closest('.hidden')) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    const message = document.createElement('span');
+    message.className = 'field-error';
+    message.id = `${input.id}-error`;
+    message.textContent = error.message;
+    input.closest('.form-group').appendChild(message);
+
+    input.classList.add('input-error');
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', message.id);
+    input.focus();
+}
+
+/**
+ * Removes highlighted inputs and their messages from a form.
+ * @param {HTMLFormElement} form
+ */
+function clearFieldErrors(form) {
+    form.querySelectorAll('.field-error').forEach(message => message.remove());
+    form.querySelectorAll('.input-error').forEach(input => {
+        input.classList.remove('input-error');
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
+    });
+}
+
+/**
+ * Shows the booking rules modal.
+ */
+function showRulesModal() {
+    rulesModal.classList.remove('hidden');
+    // Focus the accept button for accessibility
+    setTimeout(() => acceptRulesBtn.focus(), 100);
+}
+
+/**
+ * Hides the booking rules modal.
+ */
+function hideRulesModal() {
+    rulesModal.classList.add('hidden');
+}
+
+/**
+ * Submits the booking request after user accepts the rules.
+ */
+async function submitBookingAfterAcceptance() {
+    hideRulesModal();
+
+    if (isSubmitting) {
+        return;
+    }
+    isSubmitting = true;
+
+    const formData = new FormData(bookingForm);
+    const studentId = getSession().student_id;
+    const roomId = formData.get('room');
+    const bookingDate = formData.get('date');
+    const startTime = formData.get('start-time');
+    const duration = formData.get('duration');
+    const repeat = formData.get('repeat');
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Sending request...';
+    hideWaitlistPrompt();
+    hideSlotSuggestions();
+
+    try {
+        const request = {
+            room_id: parseInt(roomId),
+            date: bookingDate,
+            start_time: startTime,
+            duration: parseInt(duration),
+            members: getGroupMembers(),
+            recurrence: repeat
+                ? { frequency: repeat, count: parseInt(formData.get('occurrences')) }
+                : undefined,
+        };
+
+        let response = await postBookingRequest(request);
+        let data = await response.json();
+
+        // After heavy use the server asks for proof of work before accepting more
+        if (response.status === 428 && data.challenge) {
+            submitBtn.textContent = 'Verifying...';
+            const nonce = await solveChallenge(data.challenge);
+            response = await postBookingRequest({
+                ...request,
+                challenge: { token: data.challenge.token, nonce },
+            });
+            data = await response.json();
+        }
+
+        if (handleSessionExpired(response)) {
+            return;
+        }
+
+        // Offline, the service worker keeps the request and sends it later
+        if (data.queued) {
+            showToast(data.message, 'warning');
+            resetBookingForm();
+            return;
+        }
+
+        if (!response.ok) {
+            showFieldError(bookingForm, { message: 'Failed to submit request', ...data });
+
+            // For a single slot that's taken, suggest free alternatives or the waitlist
+            const { ROOM_CONFLICT, SLOT_HELD, PENDING_CONFLICT } = Validation.ERROR_CODES;
+            if ([ROOM_CONFLICT, SLOT_HELD, PENDING_CONFLICT].includes(data.code) && !repeat) {
+                const slot = { ...request, party_size: request.members.length + 1 };
+                showWaitlistPrompt(data.message, slot);
+                loadSlotSuggestions(slot);
+            }
+            return;
+        }
+
+        rememberSubmission(data, studentId);
+
+        if (data.occurrences) {
+            const skipped = data.occurrences.filter(occurrence => occurrence.status !== 'requested');
+
+            if (skipped.length > 0) {
+                const dates = skipped.map(occurrence => parseDateInput(occurrence.date)
+                    .toLocaleDateString('en-US', { month: 'short', day: 'numeric' })).join(', ');
+                showToast(`${data.message}. Not booked: ${dates}`, 'warning');
+            } else {
+                showToast('Recurring request sent to librarians for approval!', 'success');
+            }
+        } else {
+            showToast('Request sent to librarians for approval!', 'success');
+        }
+
+        enablePushNotifications();
+        resetBookingForm();
+        loadRooms();
+        loadMyRequests();
+    } catch (error) {
+        console.error('Error submitting booking:', error);
+        showToast('Unable to submit request. Please try again.', 'error');
+    } finally {
+        isSubmitting = false;
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Request Room';
+    }
+}
+
+/**
+ * Clears the booking form after a request was sent or queued.
+ */
+function resetBookingForm() {
+    bookingForm.reset();
+    clearFieldErrors(bookingForm);
+    updateGroupSizeHint();
+    bookingDateInput.value = selectedDate;
+    document.getElementById('occurrences-group').classList.add('hidden');
+    setMinimumStartTime();
+}
+
+/**
+ * Remembers the requests created by a submitBookingRequest call.
+ * @param {Object} data - Response body, with request_id or occurrences.
+ * @param {string} studentId
+ */
+function rememberSubmission(data, studentId) {
+    if (data.occurrences) {
+        data.occurrences
+            .filter(occurrence => occurrence.request_id)
+            .reverse()
+            .forEach(occurrence => rememberRequest(occurrence.request_id, studentId));
+    } else {
+        rememberRequest(data.request_id, studentId);
+    }
+}
+
+/**
+ * Sends a booking request to the server.
+ * @param {Object} request - Request body for submitBookingRequest.
+ * @returns {Promise<Response>}
+ */
+function postBookingRequest(request) {
+    return fetchWithTimeout(`${CONFIG.API_BASE_URL}/submitBookingRequest`, {
+        method: 'POST',
+        headers: authHeaders({
+            'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify(request),
+    });
+}
+
+/**
+ * Finds a nonce whose SHA-256 with the challenge token has the required
+ * number of leading zero bits.
+ * @param {{token: string, difficulty: number}} challenge
+ * @returns {Promise<string>}
+ */
+async function solveChallenge(challenge) {
+    const encoder = new TextEncoder();
+
+    for (let nonce = 0; ; nonce++) {
+        const digest = new Uint8Array(await crypto.subtle.digest(
+            'SHA-256',
+            encoder.encode(`${challenge.token}${nonce}`)
+        ));
+
+        let zeroBits = 0;
+        for (const byte of digest) {
+            if (byte === 0) {
+                zeroBits += 8;
+                continue;
+            }
+            zeroBits += Math.clz32(byte) - 24;
+            break;
+        }
+
+        if (zeroBits >= challenge.difficulty) {
+            return String(nonce);
+        }
+    }
+}
+
+/**
+ * Reads the locally remembered booking requests.
+ * @returns {Array<{id: number, student_id: string}>}
+ */
+function getStoredRequests() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.MY_REQUESTS_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Persists the list of remembered booking requests.
+ * @param {Array<{id: number, student_id: string}>} requests
+ */
+function saveStoredRequests(requests) {
+    localStorage.setItem(CONFIG.MY_REQUESTS_KEY, JSON.stringify(requests.slice(0, CONFIG.MAX_STORED_REQUESTS)));
+}
+
+/**
+ * Remembers a newly submitted request so its status can be followed.
+ * @param {number} requestId - ID returned by submitBookingRequest.
+ * @param {string} studentId - Student who submitted the request.
+ */
+function rememberRequest(requestId, studentId) {
+    const requests = getStoredRequests().filter(request => request.id !== requestId);
+    requests.unshift({ id: requestId, student_id: studentId });
+    saveStoredRequests(requests);
+}
+
+/**
+ * Reads the locally remembered waitlist entries.
+ * @returns {Array<{id: number, student_id: string}>}
+ */
+function getStoredWaitlist() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.MY_WAITLIST_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Persists the list of remembered waitlist entries.
+ * @param {Array<{id: number, student_id: string}>} entries
+ */
+function saveStoredWaitlist(entries) {
+    localStorage.setItem(CONFIG.MY_WAITLIST_KEY, JSON.stringify(entries.slice(0, CONFIG.MAX_STORED_REQUESTS)));
+}
+
+/**
+ * Fetches the live status of every remembered request and waitlist entry.
+ */
+async function loadMyRequests() {
+    const session = getSession();
+
+    // Only the signed-in student's requests can be looked up
+    const studentId = session ? session.student_id : null;
+    const stored = getStoredRequests().filter(request => request.student_id === studentId);
+    const storedWaitlist = getStoredWaitlist().filter(entry => entry.student_id === studentId);
+
+    // Signed-in students are always looked up, for group bookings they were invited to
+    if (!studentId) {
+        myRequestsSection.classList.add('hidden');
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({
+            request_id: stored.map(request => request.id).join(','),
+            waitlist_id: storedWaitlist.map(entry => entry.id).join(','),
+        });
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/getBookingStatus?${params}`, {
+            headers: authHeaders(),
+        });
+
+        if (handleSessionExpired(response)) {
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch request status');
+        }
+
+        const data = await response.json();
+        const requests = data.requests;
+
+        // Settled waitlist entries show up through the request they produced
+        const waitlist = (data.waitlist || []).filter(entry => ['waiting', 'offered'].includes(entry.status));
+
+        // Forget requests and entries the server no longer knows about
+        const knownIds = new Set(requests.map(request => request.id));
+        saveStoredRequests(getStoredRequests().filter(request =>
+            request.student_id !== studentId || knownIds.has(request.id)
+        ));
+        const knownWaitlistIds = new Set(waitlist.map(entry => entry.id));
+        saveStoredWaitlist(getStoredWaitlist().filter(entry =>
+            entry.student_id !== studentId || knownWaitlistIds.has(entry.id)
+        ));
+
+        renderMyRequests(requests, waitlist, data.group_requests || []);
+    } catch (error) {
+        console.error('Error loading my requests:', error);
+        myRequestsList.innerHTML = '<div class="error-message">Unable to load your requests</div>';
+    }
+}
+
+/**
+ * Renders the "My requests" panel.
+ * @param {Array<Object>} requests - Requests returned by getBookingStatus.
+ * @param {Array<Object>} [waitlist=[]] - Open waitlist entries returned by getBookingStatus.
+ * @param {Array<Object>} [groupRequests=[]] - Other students' group bookings the student was invited to.
+ */
+function renderMyRequests(requests, waitlist = [], groupRequests = []) {
+    if (requests.length === 0 && waitlist.length === 0 && groupRequests.length === 0) {
+        myRequestsSection.classList.add('hidden');
+        return;
+    }
+
+    myRequestsSection.classList.remove('hidden');
+
+    const now = new Date();
+
+    const waitlistItems = waitlist.map(entry => {
+        const start = new Date(entry.start_time);
+        const end = new Date(entry.end_time);
+        const hasOffer = entry.status === 'offered' && new Date(entry.offer_expires_at) > now;
+
+        const when = `${start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: CONFIG.TIMEZONE })}, ` +
+            `${formatLibraryTime(start)} - ${formatLibraryTime(end)}`;
+        const roomName = hasOffer
+            ? entry.offered_room_name
+            : entry.room_name || 'Any room';
+
+        return `
+            <div class="my-request-item">
+                <div class="room-info">
+                    <div class="room-name">${escapeHtml(roomName || `Room ${entry.offered_room_id}`)}</div>
+                    <div class="room-type">${escapeHtml(when)}</div>
+                    ${hasOffer ? `<div class="form-hint">Free for you until ${escapeHtml(formatLibraryTime(new Date(entry.offer_expires_at)))}</div>` : ''}
+                </div>
+                <div class="my-request-actions">
+                    <span class="status-badge ${hasOffer ? 'offered' : 'waiting'}">${hasOffer ? 'offered' : 'waitlisted'}</span>
+                    ${hasOffer ? `<button type="button" class="check-in-request-btn" data-waitlist-entry="${entry.id}" data-waitlist-action="accept">Accept</button>` : ''}
+                    ${hasOffer ? `<button type="button" class="cancel-request-btn" data-waitlist-entry="${entry.id}" data-waitlist-action="decline">Decline</button>` : ''}
+                    ${!hasOffer ? `<button type="button" class="cancel-request-btn" data-waitlist-entry="${entry.id}" data-waitlist-action="leave">Leave</button>` : ''}
+                </div>
+            </div>
+        `;
+    });
+
+    const groupItems = groupRequests.map(request => {
+        const start = new Date(request.start_time);
+        const end = new Date(request.end_time);
+        const isOpen = ['pending', 'approved'].includes(request.status) && end > now;
+        const canCheckIn = request.member_status === 'confirmed' && request.status === 'approved' &&
+            !request.checked_in && end > now &&
+            start.getTime() - CONFIG.CHECK_IN_EARLY_MINUTES * 60000 <= now.getTime();
+
+        const when = `${start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: CONFIG.TIMEZONE })}, ` +
+            `${formatLibraryTime(start)} - ${formatLibraryTime(end)}`;
+
+        return `
+            <div class="my-request-item">
+                <div class="room-info">
+                    <div class="room-name">${escapeHtml(request.room_name || `Room ${request.room_id}`)}</div>
+                    <div class="room-type">${escapeHtml(when)}</div>
+                    <div class="form-hint">${escapeHtml(`Group booking by ${request.organizer_id}`)}</div>
+                </div>
+                <div class="my-request-actions">
+                    <span class="status-badge ${request.status}">${escapeHtml(request.checked_in ? 'checked in' : request.status.replace('_', ' '))}</span>
+                    ${canCheckIn ? `<button type="button" class="check-in-request-btn" data-check-in-request="${request.id}">Check in</button>` : ''}
+                    ${request.member_status === 'invited' && isOpen ? `<button type="button" class="check-in-request-btn" data-invite-request="${request.id}" data-invite-action="confirm">Confirm</button>` : ''}
+                    ${request.member_status === 'confirmed' ? '<span class="status-badge approved">confirmed</span>' : ''}
+                    ${request.status === 'approved' && end > now ? `<button type="button" class="cancel-request-btn" data-calendar-request="${request.id}">Add to calendar</button>` : ''}
+                    ${isOpen ? `<button type="button" class="cancel-request-btn" data-invite-request="${request.id}" data-invite-action="decline">${request.member_status === 'invited' ? 'Decline' : 'Leave group'}</button>` : ''}
+                </div>
+            </div>
+        `;
+    });
+
+    myRequestsList.innerHTML = waitlistItems.join('') + groupItems.join('') + requests.map(request => {
+        const start = new Date(request.start_time);
+        const end = new Date(request.end_time);
+        const canCancel = ['pending', 'approved'].includes(request.status) && end > now;
+        const canCheckIn = request.status === 'approved' && !request.checked_in && end > now &&
+            start.getTime() - CONFIG.CHECK_IN_EARLY_MINUTES * 60000 <= now.getTime();
+
+        const when = `${start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: CONFIG.TIMEZONE })}, ` +
+            `${formatLibraryTime(start)} - ${formatLibraryTime(end)}`;
+        const members = (request.members || []).filter(member => member.status !== 'declined');
+        const confirmed = members.filter(member => member.status === 'confirmed').length;
+
+        return `
+            <div class="my-request-item">
+                <div class="room-info">
+                    <div class="room-name">${escapeHtml(request.room_name || `Room ${request.room_id}`)}</div>
+                    <div class="room-type">${escapeHtml(when)}</div>
+                    ${members.length > 0 ? `<div class="form-hint">${escapeHtml(`${confirmed} of ${members.length} members confirmed`)}</div>` : ''}
+                    ${request.rejection_reason ? `<div class="my-request-reason">${escapeHtml(request.rejection_reason)}</div>` : ''}
+                </div>
+                <div class="my-request-actions">
+                    ${request.series_id ? '<span class="status-badge series">recurring</span>' : ''}
+                    <span class="status-badge ${request.status}">${escapeHtml(request.checked_in ? 'checked in' : request.status.replace('_', ' '))}</span>
+                    ${canCheckIn ? `<button type="button" class="check-in-request-btn" data-check-in-request="${request.id}">Check in</button>` : ''}
+                    ${request.status === 'approved' && end > now ? `<button type="button" class="cancel-request-btn" data-calendar-request="${request.id}">Add to calendar</button>` : ''}
+                    ${canCancel ? `<button type="button" class="cancel-request-btn" data-cancel-request="${request.id}">Cancel</button>` : ''}
+                    ${canCancel && request.series_id ? `<button type="button" class="cancel-request-btn" data-cancel-request="${request.id}" data-scope="series">Cancel series</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Cancels one of the student's remembered requests.
+ * @param {string} requestId - Request to cancel.
+ * @param {HTMLButtonElement} button - The clicked cancel button.
+ * @param {string} [scope='single'] - 'series' cancels every remaining session of a recurring booking.
+ */
+async function cancelMyRequest(requestId, button, scope = 'single') {
+    const stored = getStoredRequests().find(request => String(request.id) === requestId);
+    const prompt = scope === 'series'
+        ? 'Cancel all remaining sessions of this recurring booking?'
+        : 'Cancel this booking request?';
+    if (!stored || !confirm(prompt)) {
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/cancelBookingRequest`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify({
+                request_id: stored.id,
+                scope,
+            }),
+        });
+
+        const data = await response.json();
+
+        if (handleSessionExpired(response)) {
+            return;
+        }
+
+        if (response.ok) {
+            showToast(data.message || 'Booking request cancelled', 'success');
+            loadTimeline();
+            loadRooms();
+        } else {
+            showToast(data.message || 'Failed to cancel request', 'error');
+        }
+    } catch (error) {
+        console.error('Error cancelling booking:', error);
+        showToast('Unable to cancel request. Please try again.', 'error');
+    } finally {
+        loadMyRequests();
+    }
+}
+
+/**
+ * Confirms or declines a place in another student's group booking.
+ * @param {string} requestId
+ * @param {'confirm'|'decline'} action
+ * @param {HTMLButtonElement} button - The clicked button.
+ */
+async function respondToGroupInvite(requestId, action, button) {
+    if (action === 'decline' && !confirm('Leave this group booking?')) {
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/respondToGroupInvite`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify({
+                request_id: parseInt(requestId),
+                action,
+            }),
+        });
+
+        const data = await response.json();
+
+        if (handleSessionExpired(response)) {
+            return;
+        }
+
+        showToast(data.message || 'Unable to update the group booking', response.ok ? 'success' : 'error');
+
+        if (response.ok && data.cancelled_ids && data.cancelled_ids.length > 0) {
+            loadTimeline();
+            loadRooms();
+        }
+    } catch (error) {
+        console.error('Error responding to group invitation:', error);
+        showToast('Unable to update the group booking. Please try again.', 'error');
+    } finally {
+        loadMyRequests();
+    }
+}
+
+/**
+ * Downloads an approved booking as an .ics file for the student's calendar.
+ * @param {string} requestId
+ * @param {HTMLButtonElement} button - The clicked button.
+ */
+async function downloadCalendarEvent(requestId, button) {
+    button.disabled = true;
+
+    try {
+        const response = await fetchWithTimeout(
+            `${CONFIG.API_BASE_URL}/getCalendar?request_id=${encodeURIComponent(requestId)}`,
+            { headers: authHeaders() }
+        );
+
+        if (handleSessionExpired(response)) {
+            return;
+        }
+
+        if (!response.ok) {
+            const data = await response.json();
+            showToast(data.message || 'Unable to create calendar event', 'error');
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = `booking-${requestId}.ics`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Error downloading calendar event:', error);
+        showToast('Unable to create calendar event. Please try again.', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Fetches the student's secret calendar feed link and copies it for pasting
+ * into a calendar app.
+ */
+async function subscribeToCalendar() {
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/createCalendarFeed`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify({}),
+        });
+
+        const data = await response.json();
+
+        if (handleSessionExpired(response)) {
+            return;
+        }
+
+        if (!response.ok) {
+            showToast(data.message || 'Unable to create calendar link', 'error');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(data.url);
+            showToast('Calendar link copied. Add it in your calendar app as a subscription.', 'success');
+        } catch (error) {
+            prompt('Add this link in your calendar app as a subscription:', data.url);
+        }
+    } catch (error) {
+        console.error('Error creating calendar link:', error);
+        showToast('Unable to create calendar link. Please try again.', 'error');
+    }
+}
+
+/**
+ * Subscription link for a room's public booking calendar.
+ * @param {number} roomId
+ * @returns {string} A webcal:// URL, which calendar apps open as a subscription.
+ */
+function roomCalendarUrl(roomId) {
+    return `webcal://${location.host}${CONFIG.API_BASE_URL}/getCalendar?room_id=${roomId}`;
+}
+
+/**
+ * Fetches free room/slot combinations close to a request that clashed.
+ * @param {Object} request - The request body that was refused.
+ */
+async function loadSlotSuggestions(request) {
+    try {
+        const params = new URLSearchParams({
+            date: request.date,
+            start_time: request.start_time,
+            duration: request.duration,
+            party_size: request.party_size,
+            room_id: request.room_id,
+        });
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/findRooms?${params}`, {
+            headers: authHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch suggestions');
+        }
+
+        const data = await response.json();
+        renderSlotSuggestions(data.suggestions);
+    } catch (error) {
+        // Suggestions are a convenience; the waitlist prompt is still shown
+        console.error('Error loading suggestions:', error);
+        hideSlotSuggestions();
+    }
+}
+
+/**
+ * Renders the suggestion list, one button per free room/slot.
+ * @param {Array<Object>} suggestions - Suggestions returned by findRooms.
+ */
+function renderSlotSuggestions(suggestions) {
+    slotSuggestions = suggestions;
+
+    if (suggestions.length === 0) {
+        hideSlotSuggestions();
+        return;
+    }
+
+    slotSuggestionsList.innerHTML = suggestions.map((suggestion, index) => `
+        <button type="button" class="slot-suggestion" data-suggestion="${index}">
+            <span>${escapeHtml(suggestion.room_name)}</span>
+            <span class="slot-suggestion-time">${escapeHtml(`${suggestion.start_time} - ${suggestion.end_time}`)}</span>
+        </button>
+    `).join('');
+    slotSuggestionsSection.classList.remove('hidden');
+}
+
+/**
+ * Hides the suggestion list.
+ */
+function hideSlotSuggestions() {
+    slotSuggestions = [];
+    slotSuggestionsSection.classList.add('hidden');
+}
+
+/**
+ * Pre-fills the booking form with a suggested room and time.
+ * @param {Object} suggestion - Suggestion returned by findRooms.
+ */
+async function applySuggestion(suggestion) {
+    if (!suggestion) {
+        return;
+    }
+
+    bookingDateInput.value = suggestion.date;
+    setMinimumStartTime();
+    startTimeInput.value = suggestion.start_time;
+    durationSelect.value = String(suggestion.duration);
+    showTimelineDay(suggestion.date);
+
+    // The dropdown lists rooms free for the new slot before one is picked
+    await loadSlotAvailability();
+    roomSelect.value = String(suggestion.room_id);
+
+    hideSlotSuggestions();
+    hideWaitlistPrompt();
+    submitBtn.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    showToast(`${suggestion.room_name} at ${suggestion.start_time} selected. Press Request Room to book it.`, 'success');
+}
+
+/**
+ * Offers to put the student on the waitlist for a request that clashed.
+ * @param {string} message - Conflict message from submitBookingRequest.
+ * @param {Object} request - The request body that was refused.
+ */
+function showWaitlistPrompt(message, request) {
+    waitlistCandidate = request;
+    waitlistPromptMessage.textContent = `${message}. Join the waitlist and we'll offer you the slot if it frees up.`;
+    waitlistPrompt.classList.remove('hidden');
+}
+
+/**
+ * Hides the waitlist prompt.
+ */
+function hideWaitlistPrompt() {
+    waitlistCandidate = null;
+    waitlistPrompt.classList.add('hidden');
+}
+
+/**
+ * Joins the waitlist for the request that just clashed.
+ * @param {'selected'|'any'|'none'} choice - Wait for the selected room, any room, or not at all.
+ */
+async function joinWaitlist(choice) {
+    const request = waitlistCandidate;
+    if (!request || choice === 'none') {
+        hideWaitlistPrompt();
+        return;
+    }
+
+    waitlistPrompt.querySelectorAll('button').forEach(button => {
+        button.disabled = true;
+    });
+
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/joinWaitlist`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify({
+                ...request,
+                room_id: choice === 'any' ? null : request.room_id,
+            }),
+        });
+
+        const data = await response.json();
+
+        if (handleSessionExpired(response)) {
+            return;
+        }
+
+        if (response.ok) {
+            const entries = getStoredWaitlist().filter(entry => entry.id !== data.waitlist_id);
+            entries.unshift({ id: data.waitlist_id, student_id: getSession().student_id });
+            saveStoredWaitlist(entries);
+
+            showToast(`You're number ${data.position} on the waitlist`, 'success');
+            hideWaitlistPrompt();
+            enablePushNotifications();
+            loadMyRequests();
+        } else {
+            showToast(data.message || 'Failed to join the waitlist', 'error');
+        }
+    } catch (error) {
+        console.error('Error joining waitlist:', error);
+        showToast('Unable to join the waitlist. Please try again.', 'error');
+    } finally {
+        waitlistPrompt.querySelectorAll('button').forEach(button => {
+            button.disabled = false;
+        });
+    }
+}
+
+/**
+ * Accepts or declines a waitlist offer, or leaves the waitlist.
+ * @param {string} entryId - Waitlist entry to update.
+ * @param {'accept'|'decline'|'leave'} action
+ * @param {HTMLButtonElement} button - The clicked button.
+ */
+async function updateMyWaitlistEntry(entryId, action, button) {
+    const stored = getStoredWaitlist().find(entry => String(entry.id) === entryId);
+    if (!stored || (action !== 'accept' && !confirm(action === 'decline' ? 'Decline this offer?' : 'Leave this waitlist?'))) {
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/updateWaitlistEntry`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify({
+                waitlist_id: stored.id,
+                action,
+            }),
+        });
+
+        const data = await response.json();
+
+        if (handleSessionExpired(response)) {
+            return;
+        }
+
+        if (response.ok) {
+            if (data.request_id) {
+                rememberRequest(data.request_id, stored.student_id);
+            }
+            showToast(data.message, 'success');
+            loadTimeline();
+            loadRooms();
+        } else {
+            showToast(data.message || 'Failed to update waitlist entry', 'error');
+        }
+    } catch (error) {
+        console.error('Error updating waitlist entry:', error);
+        showToast('Unable to update waitlist entry. Please try again.', 'error');
+    } finally {
+        loadMyRequests();
+    }
+}
+
+/**
+ * Sends a check-in for the signed-in student.
+ * @param {Object} payload - request_id or room_code.
+ * @returns {Promise<boolean>} Whether the check-in succeeded.
+ */
+async function sendCheckIn(payload) {
+    if (!getSession()) {
+        showToast('Please sign in to check in', 'error');
+        signInSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return false;
+    }
+
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/checkIn`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify(payload),
+        });
+
+        const data = await response.json();
+
+        if (handleSessionExpired(response)) {
+            return false;
+        }
+
+        if (response.ok) {
+            showToast('Checked in. Enjoy your session!', 'success');
+            return true;
+        }
+
+        showToast(data.message || 'Failed to check in', 'error');
+    } catch (error) {
+        console.error('Error checking in:', error);
+        showToast('Unable to check in. Please try again.', 'error');
+    }
+    return false;
+}
+
+/**
+ * Checks in to one of the student's bookings, or a group booking they confirmed.
+ * @param {string} requestId - Approved request to check in to.
+ * @param {HTMLButtonElement} button - The clicked check-in button.
+ */
+async function checkInToRequest(requestId, button) {
+    button.disabled = true;
+    await sendCheckIn({ request_id: parseInt(requestId) });
+    loadMyRequests();
+}
+
+/**
+ * Shows the check-in form when the page was opened from a room's QR code (?checkin=<code>).
+ */
+function setupQrCheckIn() {
+    const roomCode = new URLSearchParams(window.location.search).get('checkin');
+    if (!roomCode) {
+        return;
+    }
+
+    checkInSection.classList.remove('hidden');
+
+    checkInForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const checkInBtn = document.getElementById('check-in-btn');
+        checkInBtn.disabled = true;
+
+        if (await sendCheckIn({ room_code: roomCode })) {
+            checkInSection.classList.add('hidden');
+            // Drop the code from the address bar so a reload doesn't show the form again
+            window.history.replaceState(null, '', window.location.pathname);
+            loadMyRequests();
+        }
+
+        checkInBtn.disabled = false;
+    });
+}
+
+/**
+ * Subscribes this device to Web Push so the signed-in student hears about the
+ * outcome of their requests. Silently does nothing when push isn't supported,
+ * isn't configured on the server or the student declines.
+ */
+async function enablePushNotifications() {
+    if (!('serviceWorker' in navigator) || !('PushManager' in window) || Notification.permission === 'denied') {
+        return;
+    }
+
+    try {
+        const configResponse = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/subscribePush`);
+        const { public_key: publicKey } = await configResponse.json();
+        if (!publicKey) {
+            return;
+        }
+
+        if (await Notification.requestPermission() !== 'granted') {
+            return;
+        }
+
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription() ||
+            await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(publicKey),
+            });
+
+        await fetchWithTimeout(`${CONFIG.API_BASE_URL}/subscribePush`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify({
+                subscription: subscription.toJSON(),
+            }),
+        });
+    } catch (error) {
+        console.error('Error enabling push notifications:', error);
+    }
+}
+
+/**
+ * Decodes a base64url VAPID key into the byte array PushManager expects.
+ * @param {string} base64String
+ * @returns {Uint8Array}
+ */
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64);
+    return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
+/**
+ * Displays a toast notification.
+ * @param {string} message - Notification text.
+ * @param {string} [type='success'] - 'success', 'error', or 'warning'.
+ */
+function showToast(message, type = 'success') {
+    toast.textContent = message;
+    toast.className = `toast ${type}`;
+    void toast.offsetWidth; // Force reflow
+    toast.classList.remove('hidden');
+
+    setTimeout(() => {
+        toast.classList.add('hidden');
+    }, 4000);
+}
+
+/**
+ * Wrapper for fetch that adds a configurable timeout.
+ * @param {string} url - Request URL.
+ * @param {Object} [options={}] - Fetch options.
+ * @returns {Promise<Response>}
+ */
+function fetchWithTimeout(url, options = {}) {
+    return Promise.race([
+        fetch(url, options).then(response => {
+            checkApiVersion(response);
+            return response;
+        }),
         new Promise((_, reject) =>
             setTimeout(() => reject(new Error('Request timeout')), CONFIG.REQUEST_TIMEOUT)
         )
     ]);
 }
 
+/**
+ * Offers a reload when the functions send a payload version newer than this
+ * app understands. The response is still used; fields the app doesn't know
+ * about are ignored until the student reloads.
+ * @param {Response} response
+ */
+function checkApiVersion(response) {
+    const version = parseInt(response.headers.get('X-API-Version'));
+
+    if (!(version > CONFIG.API_VERSION) || !updateBanner.classList.contains('hidden')) {
+        return;
+    }
+
+    showUpdatePrompt();
+
+    // Fetch the new service worker so the reload picks up the new version
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.getRegistration()
+            .then(registration => registration && registration.update())
+            .catch(() => {});
+    }
+}
+
 /**
  * Escapes HTML characters to prevent XSS.
  * @param {string} text - Untrusted input.
@@ -354,43 +1944,160 @@ function escapeHtml(text) {
 }
 
 /**
- * Starts the data refresh polling loop.
+ * Escapes text for use inside a quoted HTML attribute. Unlike escapeHtml,
+ * quotes are escaped too, so the value can't end the attribute early.
+ * @param {string} text - Untrusted input.
+ * @returns {string} Sanitized string.
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Reloads the schedule, room list and "My requests" panel.
+ * @returns {Promise<boolean>} Whether the schedule and rooms both loaded.
+ */
+async function refreshAll() {
+    const [timelineLoaded, roomsLoaded] = await Promise.all([loadTimeline(), loadRooms(), loadMyRequests()]);
+    return timelineLoaded && roomsLoaded;
+}
+
+/**
+ * Subscribes to schedule change broadcasts over Supabase Realtime.
+ * Polling runs until the channel is up, and again whenever it drops.
+ */
+async function startLiveUpdates() {
+    startAutoRefresh();
+
+    if (!window.supabase) {
+        return;
+    }
+
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/getRealtimeConfig`);
+        if (!response.ok) {
+            return;
+        }
+
+        const config = await response.json();
+        if (!config.enabled) {
+            return;
+        }
+
+        let wasDisconnected = false;
+        const client = window.supabase.createClient(config.url, config.anon_key);
+
+        client.channel(config.channel)
+            .on('broadcast', { event: 'schedule_changed' }, scheduleRealtimeRefresh)
+            .subscribe(status => {
+                if (status === 'SUBSCRIBED') {
+                    isRealtimeConnected = true;
+                    stopAutoRefresh();
+                    // Catch up on changes missed while the channel was down
+                    if (wasDisconnected) {
+                        refreshAll();
+                    }
+                } else if (['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'].includes(status)) {
+                    isRealtimeConnected = false;
+                    wasDisconnected = true;
+                    startAutoRefresh();
+                }
+            });
+    } catch (error) {
+        console.error('Realtime unavailable, falling back to polling:', error);
+    }
+}
+
+/**
+ * Coalesces bursts of realtime events into a single refresh.
+ */
+function scheduleRealtimeRefresh() {
+    clearTimeout(realtimeRefreshTimer);
+    realtimeRefreshTimer = setTimeout(() => {
+        if (!document.hidden) {
+            refreshAll();
+        }
+    }, CONFIG.REALTIME_DEBOUNCE);
+}
+
+/**
+ * Schedules the next fallback poll. The interval doubles after each failed
+ * poll, and polling is skipped while Realtime is connected or the tab is hidden.
  */
 function startAutoRefresh() {
-    refreshInterval = setInterval(() => {
-        loadTimeline();
-        loadRooms();
-    }, CONFIG.REFRESH_INTERVAL);
+    if (refreshTimer || isRealtimeConnected || document.hidden) {
+        return;
+    }
+
+    const delay = Math.min(CONFIG.REFRESH_INTERVAL * 2 ** refreshFailures, CONFIG.MAX_REFRESH_INTERVAL);
+
+    refreshTimer = setTimeout(async () => {
+        refreshTimer = null;
+        const succeeded = await refreshAll();
+        refreshFailures = succeeded ? 0 : refreshFailures + 1;
+        startAutoRefresh();
+    }, delay);
 }
 
 /**
- * Stops the data refresh polling loop.
+ * Cancels the next fallback poll.
  */
 function stopAutoRefresh() {
-    if (refreshInterval) {
-        clearInterval(refreshInterval);
-        refreshInterval = null;
+    if (refreshTimer) {
+        clearTimeout(refreshTimer);
+        refreshTimer = null;
     }
 }
 
+// Pause polling in background tabs and catch up when the tab is shown again
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        stopAutoRefresh();
+    } else if (!mainApp.classList.contains('hidden')) {
+        refreshAll();
+        startAutoRefresh();
+    }
+});
+
 window.addEventListener('beforeunload', stopAutoRefresh);
 
 /**
  * Fetches daily schedule data for timeline rendering.
+ * @returns {Promise<boolean>} Whether the schedule loaded.
  */
 async function loadTimeline() {
     try {
-        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/getRoomSchedules`);
+        // Signed in, the student's own bookings are marked as theirs
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/getRoomSchedules?date=${selectedDate}`, {
+            headers: authHeaders(),
+        });
 
         if (!response.ok) {
             throw new Error('Failed to fetch schedule');
         }
 
         const data = await response.json();
+
+        if (data.timezone) {
+            CONFIG.TIMEZONE = data.timezone;
+        }
+
+        if (data.max_advance_days !== undefined && data.max_advance_days !== CONFIG.ADVANCE_BOOKING_DAYS) {
+            CONFIG.ADVANCE_BOOKING_DAYS = data.max_advance_days;
+            updateBookingDateRange();
+        }
+
+        if (data.check_in_grace_minutes !== undefined && data.check_in_grace_minutes !== CONFIG.CHECK_IN_GRACE_MINUTES) {
+            CONFIG.CHECK_IN_GRACE_MINUTES = data.check_in_grace_minutes;
+            renderGracePeriod();
+        }
+
         renderTimeline(data);
+        return true;
     } catch (error) {
         console.error('Error loading timeline:', error);
         timelineContainer.innerHTML = '<div class="error-message">Unable to load schedule</div>';
+        return false;
     }
 }
 
@@ -399,47 +2106,92 @@ async function loadTimeline() {
  * @param {Object} data - Schedule data object.
  */
 function renderTimeline(data) {
-    const today = new Date(data.date);
-    timelineDate.textContent = today.toLocaleDateString('en-US', {
+    const day = parseDateInput(data.date);
+    const hours = data.hours || { open: '08:00', close: '19:00', is_closed: false };
+    const dateText = day.toLocaleDateString('en-US', {
         weekday: 'long',
         month: 'long',
         day: 'numeric',
         year: 'numeric'
     });
+    timelineDate.textContent = hours.is_closed
+        ? `${dateText} · Closed`
+        : `${dateText} · ${formatHourLabel(hours.open)} - ${formatHourLabel(hours.close)}`;
+
+    if (hours.is_closed) {
+        const reason = hours.reason ? `: ${escapeHtml(hours.reason)}` : '';
+        timelineContainer.innerHTML = `<div class="loading-message">The library is closed on this day${reason}</div>`;
+        return;
+    }
 
     if (!data.rooms || data.rooms.length === 0) {
         timelineContainer.innerHTML = '<div class="loading-message">No rooms found</div>';
         return;
     }
 
+    // Positions are measured in elapsed time from opening, in the library timezone
     const now = new Date();
-    const startHour = 8;
-    const endHour = 19;
-    const totalHours = endHour - startHour;
+    const openAt = zonedTimeToDate(data.date, hours.open);
+    const closeAt = zonedTimeToDate(data.date, hours.close);
+    const span = closeAt - openAt;
+    const startHour = timeToHours(hours.open);
+    const endHour = timeToHours(hours.close);
 
-    const currentHour = now.getHours() + now.getMinutes() / 60;
-    const nowPosition = ((currentHour - startHour) / totalHours) * 100;
-    const showNowMarker = currentHour >= startHour && currentHour <= endHour;
+    const toPercent = (date) => Math.min(Math.max((date - openAt) / span, 0), 1) * 100;
+    const nowPosition = toPercent(now);
+    const showNowMarker = now >= openAt && now <= closeAt;
+
+    /**
+     * Positions a block on the bar, clipped to opening hours.
+     * @param {Date} start
+     * @param {Date} end
+     * @returns {{left: number, width: number}}
+     */
+    const positionBlock = (start, end) => {
+        const left = toPercent(start);
+        return { left, width: toPercent(end) - left };
+    };
+
+    // A label every two hours, plus closing time
+    const hourLabels = [];
+    for (let hour = Math.ceil(startHour); hour < endHour; hour += 2) {
+        hourLabels.push(`${String(hour).padStart(2, '0')}:00`);
+    }
+    hourLabels.push(hours.close);
 
     timelineContainer.innerHTML = data.rooms.map(room => {
         const bookingsHtml = room.bookings.map(booking => {
             const start = new Date(booking.start_time);
             const end = new Date(booking.end_time);
+            const { left, width } = positionBlock(start, end);
+
+            const startTime = formatLibraryTime(start);
+            const endTime = formatLibraryTime(end);
 
-            const startHour = start.getHours() + start.getMinutes() / 60;
-            const endHour = end.getHours() + end.getMinutes() / 60;
+            // Other students' bookings arrive as anonymous busy blocks
+            const classes = [booking.is_yours ? 'yours' : '', booking.series_id ? 'recurring' : ''].join(' ');
+            const label = booking.is_yours ? 'Yours' : 'Booked';
+            const title = booking.is_yours
+                ? (booking.series_id ? 'Your recurring booking' : 'Your booking')
+                : 'Booked';
 
-            const left = ((startHour - 8) / totalHours) * 100;
-            const width = ((endHour - startHour) / totalHours) * 100;
+            return `
+                <div class="timeline-booking ${classes}" 
+                     style="left: ${left}%; width: ${width}%;"
+                     title="${title}: ${startTime} - ${endTime}">
+                    ${label}
+                </div>
+            `;
+        }).join('');
 
-            const startTime = start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
-            const endTime = end.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        const blackoutsHtml = (room.blackouts || []).map(blackout => {
+            const { left, width } = positionBlock(new Date(blackout.start_time), new Date(blackout.end_time));
 
             return `
-                <div class="timeline-booking" 
+                <div class="timeline-blackout" 
                      style="left: ${left}%; width: ${width}%;"
-                     title="Booked: ${startTime} - ${endTime}">
-                    Booked
+                     title="${escapeAttribute(blackout.reason)}">
+                    ${escapeHtml(blackout.reason)}
                 </div>
             `;
         }).join('');
@@ -448,30 +2200,199 @@ function renderTimeline(data) {
             <div class="timeline-room">
                 <div class="timeline-room-header">${escapeHtml(room.name)}</div>
                 <div class="timeline-bar-wrapper">
+                    ${blackoutsHtml}
                     ${bookingsHtml}
                     ${showNowMarker ? `<div class="timeline-now-marker" style="left: ${nowPosition}%"></div>` : ''}
                 </div>
                 <div class="timeline-hours">
-                    <span>8 AM</span>
-                    <span>10 AM</span>
-                    <span>12 PM</span>
-                    <span>2 PM</span>
-                    <span>4 PM</span>
-                    <span>6 PM</span>
-                    <span>7 PM</span>
+                    ${hourLabels.map(label => `<span>${formatHourLabel(label)}</span>`).join('')}
                 </div>
             </div>
         `;
     }).join('');
 }
 
+/**
+ * Converts "HH:MM" to fractional hours.
+ * @param {string} time
+ * @returns {number}
+ */
+function timeToHours(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours + minutes / 60;
+}
+
+/**
+ * Formats "HH:MM" as a short label such as "8 AM" or "6:30 PM".
+ * @param {string} time
+ * @returns {string}
+ */
+function formatHourLabel(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    const hour12 = hours % 12 || 12;
+    return minutes ? `${hour12}:${String(minutes).padStart(2, '0')} ${suffix}` : `${hour12} ${suffix}`;
+}
+
+/**
+ * Handles messages from the service worker about cached data and booking
+ * requests queued while offline.
+ * @param {MessageEvent} event
+ */
+function handleServiceWorkerMessage(event) {
+    const message = event.data || {};
+
+    if (message.type === 'api-offline') {
+        if (message.cached_at) {
+            showOfflineBanner(new Date(message.cached_at));
+        }
+    } else if (message.type === 'api-online') {
+        hideOfflineBanner();
+
+        // The cached copy on screen was out of date
+        if (message.changed) {
+            if (message.url.includes('/getRoomSchedules')) {
+                loadTimeline();
+            } else {
+                loadRooms();
+            }
+        }
+    } else if (message.type === 'booking-queue-result') {
+        showToast(message.message, message.ok ? 'success' : 'error');
+
+        const session = getSession();
+        if (message.ok && session) {
+            rememberSubmission(message.data, session.student_id);
+        }
+        loadRooms();
+        loadMyRequests();
+    }
+}
+
+/**
+ * Shows that the page is offline and how old the data on screen is.
+ * @param {Date} cachedAt - When a cached response was fetched.
+ */
+function showOfflineBanner(cachedAt) {
+    if (!offlineDataTime || cachedAt < offlineDataTime) {
+        offlineDataTime = cachedAt;
+    }
+
+    const timeString = offlineDataTime.toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    offlineBanner.textContent = `Offline – data from ${timeString}`;
+    offlineBanner.classList.remove('hidden');
+}
+
+/**
+ * Hides the offline banner once the network is reachable again.
+ */
+function hideOfflineBanner() {
+    offlineDataTime = null;
+    offlineBanner.classList.add('hidden');
+}
+
+/**
+ * Watches for a new version of the service worker, installed after a deploy,
+ * and offers to reload into it once it's ready.
+ * @param {ServiceWorkerRegistration} registration
+ */
+function watchForUpdates(registration) {
+    // Only an update when a worker already controls the page; the first
+    // install takes over without a reload
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+
+    // Check for a deploy whenever the student comes back to the tab
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) {
+            registration.update().catch(() => {});
+        }
+    });
+}
+
+/**
+ * Shows the "Update available" prompt.
+ * @param {ServiceWorker} [worker] - The new version's worker, once installed.
+ */
+function showUpdatePrompt(worker) {
+    if (worker) {
+        waitingWorker = worker;
+    }
+    updateBanner.classList.remove('hidden');
+}
+
+/**
+ * Reloads into the new version. A waiting worker is activated first, and the
+ * page reloads when it takes control.
+ */
+function reloadForUpdate() {
+    isUpdating = true;
+
+    if (waitingWorker) {
+        waitingWorker.postMessage({ type: 'skip-waiting' });
+    } else {
+        window.location.reload();
+    }
+}
+
+/**
+ * Asks the service worker to drop cached API responses.
+ * @returns {Promise<void>} Resolves once they're gone, or after a second.
+ */
+function clearCachedData() {
+    const controller = 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+    if (!controller) {
+        return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = () => resolve();
+        controller.postMessage({ type: 'clear-api-cache' }, [channel.port2]);
+        setTimeout(resolve, 1000);
+    });
+}
+
 // Service Worker Registration
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js').catch(err => {
+        navigator.serviceWorker.register('/sw.js').then(watchForUpdates).catch(err => {
             console.log('Service Worker registration failed:', err);
         });
     });
+
+    navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+
+    // The new version took over after the student chose to reload
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (isUpdating) {
+            window.location.reload();
+        }
+    });
+
+    // Back online: send queued requests where Background Sync isn't supported,
+    // and catch up on changes
+    window.addEventListener('online', () => {
+        if (navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'replay-queue' });
+        }
+        if (!mainApp.classList.contains('hidden')) {
+            refreshAll();
+        }
+    });
 }
 
 // Global Initialization
@@ -0,0 +1,93 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyPassword, signAdminToken } = require('./lib/auth');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    try {
+        const { email, password } = JSON.parse(event.body);
+
+        if (!email || !password) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'Missing required fields: email, password',
+                }),
+            };
+        }
+
+        const { data: librarian, error: librarianError } = await supabase
+            .from('librarians')
+            .select('id, email, password_hash, is_active')
+            .eq('email', email.trim().toLowerCase())
+            .maybeSingle();
+
+        if (librarianError) {
+            throw librarianError;
+        }
+
+        // Same response for unknown accounts and wrong passwords
+        if (!librarian || !librarian.is_active || !verifyPassword(password, librarian.password_hash)) {
+            return {
+                statusCode: 401,
+                headers,
+                body: JSON.stringify({
+                    message: 'Invalid email or password',
+                }),
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                token: signAdminToken(librarian),
+                email: librarian.email,
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in adminLogin:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to sign in',
+                error: error.message,
+            }),
+        };
+    }
+};
@@ -0,0 +1,176 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyAdmin } = require('./lib/auth');
+const { notifyStudent } = require('./lib/notifications');
+const { notifyMembers } = require('./lib/groups');
+const { SCOPES, resolveScope } = require('./lib/series');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Error codes raised by approve_booking_request()
+const RPC_ERROR_STATUS = {
+    BK001: 404, // request not found
+    BK002: 409, // request is no longer pending
+    BK003: 409, // slot already booked
+    '23P01': 409, // bookings_no_overlap, lost a race with another approval
+};
+
+/**
+ * Approves one request through approve_booking_request().
+ * @param {number} requestId
+ * @param {number} librarianId
+ * @returns {Promise<{booking: Object}|{statusCode: number, message: string}>}
+ */
+async function approveOne(requestId, librarianId) {
+    // Conflict check and insert run atomically in the database
+    const { data: booking, error: approveError } = await supabase
+        .rpc('approve_booking_request', {
+            p_request_id: requestId,
+            p_librarian_id: librarianId,
+        });
+
+    if (approveError) {
+        if (RPC_ERROR_STATUS[approveError.code]) {
+            return {
+                statusCode: RPC_ERROR_STATUS[approveError.code],
+                message: approveError.code === '23P01'
+                    ? 'This room is already booked for the selected time'
+                    : approveError.message,
+            };
+        }
+        throw approveError;
+    }
+
+    return { booking };
+}
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    const librarian = verifyAdmin(event);
+    if (!librarian) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Unauthorized' }),
+        };
+    }
+
+    try {
+        const { request_id, scope = 'single' } = JSON.parse(event.body);
+
+        if (!request_id) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'Missing required field: request_id',
+                }),
+            };
+        }
+
+        if (!SCOPES.includes(scope)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `Invalid scope. Must be one of: ${SCOPES.join(', ')}`,
+                }),
+            };
+        }
+
+        if (scope === 'single') {
+            const result = await approveOne(request_id, parseInt(librarian.sub));
+
+            if (!result.booking) {
+                return {
+                    statusCode: result.statusCode,
+                    headers,
+                    body: JSON.stringify({
+                        message: result.message,
+                    }),
+                };
+            }
+
+            await notifyStudent(supabase, 'approved', result.booking);
+            await notifyMembers(supabase, 'approved', result.booking, request_id);
+
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    message: 'Booking request approved',
+                    booking_id: result.booking.id,
+                }),
+            };
+        }
+
+        // Approve every pending occurrence of the series; clashing ones stay pending
+        const requestIds = await resolveScope(supabase, request_id, scope, ['pending']);
+        const occurrences = [];
+
+        for (const requestId of requestIds) {
+            const result = await approveOne(requestId, parseInt(librarian.sub));
+            occurrences.push(result.booking
+                ? { request_id: requestId, status: 'approved', booking_id: result.booking.id, booking: result.booking }
+                : { request_id: requestId, status: 'conflict', message: result.message });
+        }
+
+        const approved = occurrences.filter(occurrence => occurrence.status === 'approved');
+
+        if (approved.length > 0) {
+            const notice = { ...approved[0].booking, occurrence_count: approved.length };
+            await notifyStudent(supabase, 'approved', notice);
+            await notifyMembers(supabase, 'approved', notice, approved[0].request_id);
+        }
+
+        return {
+            statusCode: approved.length > 0 ? 200 : 409,
+            headers,
+            body: JSON.stringify({
+                message: `Approved ${approved.length} of ${occurrences.length} sessions`,
+                occurrences: occurrences.map(({ booking, ...occurrence }) => occurrence),
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in approveBookingRequest:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to approve booking request',
+                error: error.message,
+            }),
+        };
+    }
+};
@@ -0,0 +1,165 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyStudent } = require('./lib/auth');
+const { notifyStudent } = require('./lib/notifications');
+const { notifyMembers } = require('./lib/groups');
+const { SCOPES, resolveScope } = require('./lib/series');
+const { promoteWaitlist } = require('./lib/waitlist');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Error codes raised by cancel_booking_request()
+const RPC_ERROR_STATUS = {
+    BK001: 404, // not found for this student
+    BK002: 409, // already cancelled, rejected or finished
+};
+
+/**
+ * Cancels one request through cancel_booking_request().
+ * @param {number} requestId
+ * @param {string} studentId
+ * @returns {Promise<{request: Object}|{statusCode: number, message: string}>}
+ */
+async function cancelOne(requestId, studentId) {
+    // Ownership check, status update and slot release run atomically in the database
+    const { data: request, error: cancelError } = await supabase
+        .rpc('cancel_booking_request', {
+            p_request_id: requestId,
+            p_student_id: studentId,
+        });
+
+    if (cancelError) {
+        if (RPC_ERROR_STATUS[cancelError.code]) {
+            return {
+                statusCode: RPC_ERROR_STATUS[cancelError.code],
+                message: cancelError.message,
+            };
+        }
+        throw cancelError;
+    }
+
+    return { request };
+}
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    // The student is whoever signed in, never an ID sent in the request
+    const student = verifyStudent(event);
+    if (!student) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Please sign in to continue' }),
+        };
+    }
+
+    try {
+        const { request_id, scope = 'single' } = JSON.parse(event.body);
+        const student_id = student.sub;
+
+        if (!request_id) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'Missing required field: request_id',
+                }),
+            };
+        }
+
+        if (!SCOPES.includes(scope)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `Invalid scope. Must be one of: ${SCOPES.join(', ')}`,
+                }),
+            };
+        }
+
+        // For a series, every remaining occurrence; ownership is checked per occurrence
+        const requestIds = await resolveScope(supabase, request_id, scope, ['pending', 'approved']);
+        const cancelled = [];
+        let firstFailure = null;
+
+        for (const requestId of requestIds) {
+            const result = await cancelOne(requestId, student_id);
+            if (result.request) {
+                cancelled.push(result.request);
+            } else if (!firstFailure) {
+                firstFailure = result;
+            }
+        }
+
+        if (cancelled.length === 0) {
+            return {
+                statusCode: firstFailure ? firstFailure.statusCode : 404,
+                headers,
+                body: JSON.stringify({
+                    message: firstFailure ? firstFailure.message : 'Booking request not found',
+                }),
+            };
+        }
+
+        const notice = { ...cancelled[0], occurrence_count: cancelled.length };
+        await notifyStudent(supabase, 'cancelled', notice);
+        await notifyMembers(supabase, 'cancelled', notice, cancelled[0].id);
+
+        // Offer the freed slots to waitlisted students
+        for (const request of cancelled) {
+            await promoteWaitlist(supabase, request);
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                message: cancelled.length > 1
+                    ? `Cancelled ${cancelled.length} sessions`
+                    : 'Booking request cancelled',
+                cancelled_ids: cancelled.map(request => request.id),
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in cancelBookingRequest:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to cancel booking request',
+                error: error.message,
+            }),
+        };
+    }
+};
@@ -0,0 +1,167 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyStudent } = require('./lib/auth');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// How early before the start time students may check in
+const CHECK_IN_EARLY_MINUTES = parseInt(process.env.CHECK_IN_EARLY_MINUTES || '10');
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    // The student is whoever signed in, never an ID sent in the request
+    const student = verifyStudent(event);
+    if (!student) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Please sign in to continue' }),
+        };
+    }
+
+    try {
+        // Either request_id (from "My requests") or room_code (from the room's QR code)
+        const { request_id, room_code } = JSON.parse(event.body);
+        const student_id = student.sub;
+
+        if (!request_id && !room_code) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'Missing required fields: request_id or room_code',
+                }),
+            };
+        }
+
+        const now = new Date();
+        const earliestStart = new Date(now.getTime() + CHECK_IN_EARLY_MINUTES * 60000);
+
+        // Any confirmed member of a group booking can check the group in
+        const { data: memberships, error: membershipsError } = await supabase
+            .from('booking_request_members')
+            .select('request_id, booking_requests!inner(end_time)')
+            .eq('student_id', student_id)
+            .eq('status', 'confirmed')
+            .gt('booking_requests.end_time', now.toISOString());
+
+        if (membershipsError) {
+            throw membershipsError;
+        }
+
+        const memberRequestIds = memberships.map(membership => membership.request_id);
+
+        let query = supabase
+            .from('bookings')
+            .select('id, room_id, start_time, end_time')
+            .is('checked_in_at', null)
+            .lte('start_time', earliestStart.toISOString())
+            .gt('end_time', now.toISOString());
+
+        query = memberRequestIds.length > 0
+            ? query.or(`student_id.eq.${student_id},request_id.in.(${memberRequestIds.join(',')})`)
+            : query.eq('student_id', student_id);
+
+        if (request_id) {
+            query = query.eq('request_id', request_id);
+        } else {
+            const { data: room, error: roomError } = await supabase
+                .from('rooms')
+                .select('id')
+                .eq('check_in_code', room_code)
+                .maybeSingle();
+
+            if (roomError) {
+                throw roomError;
+            }
+
+            if (!room) {
+                return {
+                    statusCode: 404,
+                    headers,
+                    body: JSON.stringify({
+                        message: 'Unknown room code',
+                    }),
+                };
+            }
+
+            query = query.eq('room_id', room.id);
+        }
+
+        const { data: bookings, error: bookingsError } = await query.order('start_time').limit(1);
+
+        if (bookingsError) {
+            throw bookingsError;
+        }
+
+        if (bookings.length === 0) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({
+                    message: `No booking to check in to. Check-in opens ${CHECK_IN_EARLY_MINUTES} minutes before your start time.`,
+                }),
+            };
+        }
+
+        const { error: updateError } = await supabase
+            .from('bookings')
+            .update({ checked_in_at: now.toISOString() })
+            .eq('id', bookings[0].id);
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                message: 'Checked in successfully',
+                room_id: bookings[0].room_id,
+                end_time: bookings[0].end_time,
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in checkIn:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to check in',
+                error: error.message,
+            }),
+        };
+    }
+};
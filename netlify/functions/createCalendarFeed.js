@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { verifyStudent } = require('./lib/auth');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Where the feed is served; Netlify sets URL to the site's main address
+const APP_URL = process.env.APP_URL || process.env.URL || '';
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    // The student is whoever signed in, never an ID sent in the request
+    const student = verifyStudent(event);
+    if (!student) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Please sign in to continue' }),
+        };
+    }
+
+    try {
+        const { rotate } = JSON.parse(event.body || '{}');
+        const student_id = student.sub;
+
+        // Keeps an existing token unless the student asked for a new one,
+        // which stops old subscriptions from working
+        const { error: upsertError } = await supabase
+            .from('calendar_feeds')
+            .upsert({
+                student_id,
+                token: crypto.randomBytes(24).toString('hex'),
+            }, { onConflict: 'student_id', ignoreDuplicates: !rotate });
+
+        if (upsertError) {
+            throw upsertError;
+        }
+
+        const { data: feed, error: feedError } = await supabase
+            .from('calendar_feeds')
+            .select('token')
+            .eq('student_id', student_id)
+            .single();
+
+        if (feedError) {
+            throw feedError;
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                message: rotate ? 'Calendar link reset' : 'Calendar link ready',
+                url: `${APP_URL}/.netlify/functions/getCalendar?feed=${feed.token}`,
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in createCalendarFeed:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to create calendar link',
+                error: error.message,
+            }),
+        };
+    }
+};
@@ -0,0 +1,238 @@
+const { createClient } = require('@supabase/supabase-js');
+const { ERROR_CODES, validationError, validateSlot } = require('../../validation');
+const { verifyStudent } = require('./lib/auth');
+const {
+    ADVANCE_BOOKING_DAYS,
+    zonedTimeToUtc,
+    formatTimeString,
+    todayString,
+    isWithinBookingHorizon,
+} = require('./lib/dates');
+const { atTime, getDayHours } = require('./lib/hours');
+const { getStudentAccessGroups, canAccessRoom } = require('./lib/access');
+const { getBusyIntervals, isFree } = require('./lib/availability');
+const { MIN_PARTY_SIZE, MAX_PARTY_SIZE } = require('./lib/groups');
+const { corsHeaders } = require('./lib/cors');
+
+// Shown when a required parameter is missing
+const MISSING_PARAMETER_MESSAGES = {
+    start_time: 'Please select a start time',
+    duration: 'Please select a duration',
+    party_size: 'Please give the size of your group',
+};
+
+// How far either side of the requested start time to look, in minutes
+const SUGGESTION_WINDOW_MINUTES = parseInt(process.env.SUGGESTION_WINDOW_MINUTES || '120');
+
+// Spacing between candidate start times, in minutes
+const SUGGESTION_STEP_MINUTES = 15;
+
+// Default and maximum number of suggestions returned
+const DEFAULT_SUGGESTIONS = 5;
+const MAX_SUGGESTIONS = 20;
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    try {
+        const params = event.queryStringParameters || {};
+        const date = params.date || todayString();
+        const startTime = params.start_time;
+        const duration = Number(params.duration);
+        const partySize = Number(params.party_size);
+        const preferredRoomId = parseInt(params.room_id) || null;
+        const includePending = params.include_pending !== 'false';
+
+        // Signed-in students also get their restricted rooms suggested
+        const student = verifyStudent(event);
+        const studentId = student ? student.sub : null;
+        const limit = Math.min(parseInt(params.limit) || DEFAULT_SUGGESTIONS, MAX_SUGGESTIONS);
+
+        const missing = Object.keys(MISSING_PARAMETER_MESSAGES).find(name => !params[name]);
+        if (missing) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(validationError(ERROR_CODES.MISSING_FIELD, missing, MISSING_PARAMETER_MESSAGES[missing])),
+            };
+        }
+
+        // The start time may be in the past; suggestions before now are skipped
+        const invalid = validateSlot({ date, start_time: startTime, duration });
+        if (invalid) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(invalid),
+            };
+        }
+
+        if (!Number.isInteger(partySize) || partySize < MIN_PARTY_SIZE || partySize > MAX_PARTY_SIZE) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(validationError(ERROR_CODES.INVALID_GROUP_SIZE, 'party_size',
+                    `Groups must have ${MIN_PARTY_SIZE} to ${MAX_PARTY_SIZE} people`)),
+            };
+        }
+
+        if (!isWithinBookingHorizon(date)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(validationError(ERROR_CODES.OUTSIDE_BOOKING_WINDOW, 'date',
+                    `Bookings can only be made up to ${ADVANCE_BOOKING_DAYS} days in advance`)),
+            };
+        }
+
+        const dayHours = await getDayHours(supabase, date);
+
+        if (dayHours.is_closed) {
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    date,
+                    suggestions: [],
+                    message: 'The library is closed on this day',
+                }),
+            };
+        }
+
+        // Candidate starts lie on a grid around the requested time, within
+        // opening hours and not in the past
+        const requestedStart = zonedTimeToUtc(date, startTime);
+        const durationMs = duration * 60000;
+        const stepMs = SUGGESTION_STEP_MINUTES * 60000;
+        const earliest = Math.max(atTime(date, dayHours.open).getTime(), Date.now());
+        const latest = atTime(date, dayHours.close).getTime() - durationMs;
+        const steps = Math.floor(SUGGESTION_WINDOW_MINUTES / SUGGESTION_STEP_MINUTES);
+
+        const candidateStarts = [];
+        for (let step = -steps; step <= steps; step++) {
+            const start = requestedStart.getTime() + step * stepMs;
+            if (start >= earliest && start <= latest) {
+                candidateStarts.push(new Date(start));
+            }
+        }
+
+        if (candidateStarts.length === 0) {
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    date,
+                    suggestions: [],
+                }),
+            };
+        }
+
+        // Rooms the group fits and the student may use
+        const { data: rooms, error: roomsError } = await supabase
+            .from('rooms')
+            .select('id, name, access_group, capacity, floor, location')
+            .eq('is_active', true)
+            .gte('capacity', partySize)
+            .order('id');
+
+        if (roomsError) {
+            throw roomsError;
+        }
+
+        const accessGroups = await getStudentAccessGroups(supabase, studentId);
+        const eligibleRooms = rooms.filter(room => canAccessRoom(room, accessGroups));
+
+        const windowEnd = new Date(candidateStarts[candidateStarts.length - 1].getTime() + durationMs);
+        const busy = await getBusyIntervals(supabase, candidateStarts[0], windowEnd, {
+            includePending,
+            studentId,
+        });
+
+        const suggestions = [];
+        eligibleRooms.forEach(room => {
+            candidateStarts.forEach(start => {
+                const end = new Date(start.getTime() + durationMs);
+                if (isFree(busy.get(room.id), start, end)) {
+                    suggestions.push({
+                        room,
+                        start,
+                        end,
+                        offset: Math.round((start - requestedStart) / 60000),
+                    });
+                }
+            });
+        });
+
+        // Closest to the requested time first, then the preferred room, then
+        // the snuggest fit so large rooms stay free for large groups
+        suggestions.sort((a, b) =>
+            Math.abs(a.offset) - Math.abs(b.offset) ||
+            (b.room.id === preferredRoomId) - (a.room.id === preferredRoomId) ||
+            a.room.capacity - b.room.capacity ||
+            a.offset - b.offset ||
+            a.room.id - b.room.id
+        );
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                date,
+                suggestions: suggestions.slice(0, limit).map(suggestion => ({
+                    room_id: suggestion.room.id,
+                    room_name: suggestion.room.name,
+                    capacity: suggestion.room.capacity,
+                    floor: suggestion.room.floor,
+                    location: suggestion.room.location,
+                    date,
+                    start_time: formatTimeString(suggestion.start),
+                    end_time: formatTimeString(suggestion.end),
+                    duration,
+                    minutes_from_requested: suggestion.offset,
+                })),
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in findRooms:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to find rooms',
+                error: error.message,
+            }),
+        };
+    }
+};
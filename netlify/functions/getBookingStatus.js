@@ -0,0 +1,183 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyStudent } = require('./lib/auth');
+const { getGroupMembers } = require('./lib/groups');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Upper bound on how many request or waitlist IDs can be looked up at once
+const MAX_REQUEST_IDS = 20;
+
+/**
+ * Parses a comma-separated list of IDs from a query parameter.
+ * @param {string} [value]
+ * @returns {number[]}
+ */
+function parseIdList(value) {
+    return (value || '')
+        .split(',')
+        .map(id => parseInt(id))
+        .filter(id => !isNaN(id));
+}
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    // The student is whoever signed in, never an ID sent in the request
+    const student = verifyStudent(event);
+    if (!student) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Please sign in to continue' }),
+        };
+    }
+
+    try {
+        const params = event.queryStringParameters || {};
+        const studentId = student.sub;
+        const requestIds = parseIdList(params.request_id);
+        const waitlistIds = parseIdList(params.waitlist_id);
+
+        if (requestIds.length > MAX_REQUEST_IDS || waitlistIds.length > MAX_REQUEST_IDS) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `At most ${MAX_REQUEST_IDS} request or waitlist IDs can be looked up at once`,
+                }),
+            };
+        }
+
+        // Matching on student_id as well keeps other students' requests private
+        const { data: requests, error: requestsError } = await supabase
+            .from('booking_requests')
+            .select('id, room_id, start_time, end_time, status, created_at, rejection_reason, series_id, rooms(name), bookings(checked_in_at)')
+            .eq('student_id', studentId)
+            .in('id', requestIds)
+            .order('start_time');
+
+        if (requestsError) {
+            throw requestsError;
+        }
+
+        const { data: waitlist, error: waitlistError } = await supabase
+            .from('waitlist_entries')
+            .select('id, room_id, start_time, end_time, party_size, status, offered_room_id, offer_expires_at, request_id, created_at, rooms!waitlist_entries_room_id_fkey(name), offered_room:rooms!waitlist_entries_offered_room_id_fkey(name)')
+            .eq('student_id', studentId)
+            .in('id', waitlistIds)
+            .order('start_time');
+
+        if (waitlistError) {
+            throw waitlistError;
+        }
+
+        // Upcoming group bookings the student was invited to by someone else
+        const now = new Date().toISOString();
+        const { data: memberships, error: membershipsError } = await supabase
+            .from('booking_request_members')
+            .select('request_id, status, booking_requests!inner(end_time)')
+            .eq('student_id', studentId)
+            .neq('status', 'declined')
+            .gt('booking_requests.end_time', now);
+
+        if (membershipsError) {
+            throw membershipsError;
+        }
+
+        const { data: groupRequests, error: groupRequestsError } = await supabase
+            .from('booking_requests')
+            .select('id, student_id, room_id, start_time, end_time, status, created_at, rejection_reason, series_id, rooms(name), bookings(checked_in_at)')
+            .in('id', memberships.map(membership => membership.request_id))
+            .gt('end_time', now)
+            .order('start_time');
+
+        if (groupRequestsError) {
+            throw groupRequestsError;
+        }
+
+        const members = await getGroupMembers(supabase, [...requests, ...groupRequests].map(request => request.id));
+        const myStatus = new Map(memberships.map(membership => [membership.request_id, membership.status]));
+
+        const formatRequest = request => ({
+            id: request.id,
+            room_id: request.room_id,
+            room_name: request.rooms ? request.rooms.name : null,
+            start_time: request.start_time,
+            end_time: request.end_time,
+            status: request.status,
+            created_at: request.created_at,
+            rejection_reason: request.rejection_reason,
+            series_id: request.series_id,
+            checked_in: (request.bookings || []).some(booking => booking.checked_in_at),
+            members: members.get(request.id) || [],
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                requests: requests.map(formatRequest),
+                group_requests: groupRequests.map(request => ({
+                    ...formatRequest(request),
+                    organizer_id: request.student_id,
+                    member_status: myStatus.get(request.id),
+                })),
+                waitlist: waitlist.map(entry => ({
+                    id: entry.id,
+                    room_id: entry.room_id,
+                    room_name: entry.rooms ? entry.rooms.name : null,
+                    start_time: entry.start_time,
+                    end_time: entry.end_time,
+                    party_size: entry.party_size,
+                    status: entry.status,
+                    offered_room_id: entry.offered_room_id,
+                    offered_room_name: entry.offered_room ? entry.offered_room.name : null,
+                    offer_expires_at: entry.offer_expires_at,
+                    request_id: entry.request_id,
+                    created_at: entry.created_at,
+                })),
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in getBookingStatus:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to fetch booking status',
+                error: error.message,
+            }),
+        };
+    }
+};
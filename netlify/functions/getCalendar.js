@@ -0,0 +1,309 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyStudent } = require('./lib/auth');
+const { CHECK_IN_GRACE_MINUTES } = require('./lib/noShows');
+const { buildEvent, buildCalendar } = require('./lib/ical');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// How far back feeds reach, so recent cancellations still reach subscribers
+const FEED_PAST_DAYS = 30;
+
+// Upper bound on events in a feed
+const MAX_FEED_EVENTS = 500;
+
+/**
+ * Where a room is, for the event location.
+ * @param {Object} room - Room row with name, location and floor.
+ * @returns {string}
+ */
+function describeRoom(room) {
+    const where = room.location || (room.floor !== null && room.floor !== undefined ? `Floor ${room.floor}` : '');
+    return where ? `${room.name}, ${where}` : room.name;
+}
+
+/**
+ * Builds a student's event for one of their requests.
+ * @param {Object} request - Booking request with its room.
+ * @returns {Array<string>}
+ */
+function buildStudentEvent(request) {
+    const roomName = request.rooms ? request.rooms.name : `Room ${request.room_id}`;
+
+    return buildEvent(request, {
+        summary: request.status === 'pending' ? `${roomName} (awaiting approval)` : `${roomName} booking`,
+        location: request.rooms ? describeRoom(request.rooms) : null,
+        description: `Library study room booking. Check in within ${CHECK_IN_GRACE_MINUTES} minutes of the start time to keep the room.`,
+    });
+}
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    try {
+        const params = event.queryStringParameters || {};
+        const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const calendarHeaders = {
+            ...headers,
+            'Content-Type': 'text/calendar; charset=utf-8',
+        };
+
+        // A single approved booking, downloaded by the organizer or a group member
+        if (params.request_id) {
+            const student = verifyStudent(event);
+            if (!student) {
+                return {
+                    statusCode: 401,
+                    headers,
+                    body: JSON.stringify({ message: 'Please sign in to continue' }),
+                };
+            }
+
+            const requestId = parseInt(params.request_id);
+            const { data: request, error: requestError } = await supabase
+                .from('booking_requests')
+                .select('id, student_id, room_id, status, start_time, end_time, created_at, reviewed_at, cancelled_at, rooms(name, location, floor)')
+                .eq('id', requestId)
+                .maybeSingle();
+
+            if (requestError) {
+                throw requestError;
+            }
+
+            let isMember = false;
+            if (request && request.student_id !== student.sub) {
+                const { data: membership, error: membershipError } = await supabase
+                    .from('booking_request_members')
+                    .select('request_id')
+                    .eq('request_id', requestId)
+                    .eq('student_id', student.sub)
+                    .neq('status', 'declined')
+                    .maybeSingle();
+
+                if (membershipError) {
+                    throw membershipError;
+                }
+
+                isMember = Boolean(membership);
+            }
+
+            if (!request || (request.student_id !== student.sub && !isMember)) {
+                return {
+                    statusCode: 404,
+                    headers,
+                    body: JSON.stringify({ message: 'Booking request not found' }),
+                };
+            }
+
+            if (request.status !== 'approved') {
+                return {
+                    statusCode: 409,
+                    headers,
+                    body: JSON.stringify({ message: 'Only approved bookings can be added to a calendar' }),
+                };
+            }
+
+            return {
+                statusCode: 200,
+                headers: {
+                    ...calendarHeaders,
+                    'Content-Disposition': `attachment; filename="booking-${request.id}.ics"`,
+                },
+                body: buildCalendar({
+                    name: 'Library Room Booking',
+                    events: [buildStudentEvent(request)],
+                }),
+            };
+        }
+
+        // A student's subscribable feed; the secret token stands in for a session
+        if (params.feed) {
+            const { data: feed, error: feedError } = await supabase
+                .from('calendar_feeds')
+                .select('student_id')
+                .eq('token', params.feed)
+                .maybeSingle();
+
+            if (feedError) {
+                throw feedError;
+            }
+
+            if (!feed) {
+                return {
+                    statusCode: 404,
+                    headers,
+                    body: JSON.stringify({ message: 'Calendar feed not found' }),
+                };
+            }
+
+            // The student's own requests and group bookings they were invited
+            // to; declined ones stay in the feed so subscribers drop them
+            const { data: memberships, error: membershipsError } = await supabase
+                .from('booking_request_members')
+                .select('request_id, status, responded_at')
+                .eq('student_id', feed.student_id);
+
+            if (membershipsError) {
+                throw membershipsError;
+            }
+
+            const declined = new Map(memberships
+                .filter(membership => membership.status === 'declined')
+                .map(membership => [membership.request_id, membership.responded_at]));
+            const columns = 'id, room_id, status, start_time, end_time, created_at, reviewed_at, cancelled_at, rooms(name, location, floor)';
+
+            const [ownResult, memberResult] = await Promise.all([
+                supabase
+                    .from('booking_requests')
+                    .select(columns)
+                    .eq('student_id', feed.student_id)
+                    .gte('start_time', since)
+                    .order('start_time')
+                    .limit(MAX_FEED_EVENTS),
+                supabase
+                    .from('booking_requests')
+                    .select(columns)
+                    .in('id', memberships.map(membership => membership.request_id))
+                    .gte('start_time', since)
+                    .order('start_time')
+                    .limit(MAX_FEED_EVENTS),
+            ]);
+
+            if (ownResult.error) throw ownResult.error;
+            if (memberResult.error) throw memberResult.error;
+
+            const requests = [
+                ...ownResult.data,
+                ...memberResult.data.map(request => (declined.has(request.id)
+                    ? { ...request, status: 'cancelled', cancelled_at: declined.get(request.id) }
+                    : request)),
+            ];
+
+            return {
+                statusCode: 200,
+                headers: calendarHeaders,
+                body: buildCalendar({
+                    name: 'My Library Bookings',
+                    events: requests.map(buildStudentEvent),
+                }),
+            };
+        }
+
+        // A room's public feed: busy blocks only, no student details
+        if (params.room_id) {
+            const roomId = parseInt(params.room_id);
+
+            const { data: room, error: roomError } = await supabase
+                .from('rooms')
+                .select('id, name, location, floor')
+                .eq('id', roomId)
+                .maybeSingle();
+
+            if (roomError) {
+                throw roomError;
+            }
+
+            if (!room) {
+                return {
+                    statusCode: 404,
+                    headers,
+                    body: JSON.stringify({ message: 'Room not found' }),
+                };
+            }
+
+            // Live bookings, plus approved requests since cancelled or
+            // released so subscribers drop them
+            const [bookingsResult, cancelledResult] = await Promise.all([
+                supabase
+                    .from('bookings')
+                    .select('request_id, start_time, end_time, booking_requests(created_at, reviewed_at)')
+                    .eq('room_id', roomId)
+                    .gte('start_time', since)
+                    .order('start_time')
+                    .limit(MAX_FEED_EVENTS),
+                supabase
+                    .from('booking_requests')
+                    .select('id, status, start_time, end_time, created_at, reviewed_at, cancelled_at')
+                    .eq('room_id', roomId)
+                    .in('status', ['cancelled', 'no_show'])
+                    .not('reviewed_at', 'is', null)
+                    .gte('start_time', since)
+                    .order('start_time')
+                    .limit(MAX_FEED_EVENTS),
+            ]);
+
+            if (bookingsResult.error) throw bookingsResult.error;
+            if (cancelledResult.error) throw cancelledResult.error;
+
+            const options = { summary: `${room.name} booked`, location: describeRoom(room) };
+            const events = [
+                ...bookingsResult.data.map(booking => buildEvent({
+                    id: booking.request_id,
+                    status: 'approved',
+                    start_time: booking.start_time,
+                    end_time: booking.end_time,
+                    created_at: booking.booking_requests ? booking.booking_requests.created_at : booking.start_time,
+                    reviewed_at: booking.booking_requests ? booking.booking_requests.reviewed_at : null,
+                }, options)),
+                ...cancelledResult.data.map(request => buildEvent(request, options)),
+            ];
+
+            return {
+                statusCode: 200,
+                headers: calendarHeaders,
+                body: buildCalendar({
+                    name: `${room.name} Bookings`,
+                    events,
+                }),
+            };
+        }
+
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({
+                message: 'Missing required parameter: request_id, feed or room_id',
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in getCalendar:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to build calendar',
+                error: error.message,
+            }),
+        };
+    }
+};
@@ -0,0 +1,108 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyAdmin } = require('./lib/auth');
+const { getGroupMembers } = require('./lib/groups');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled', 'no_show'];
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    if (!verifyAdmin(event)) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Unauthorized' }),
+        };
+    }
+
+    try {
+        const params = event.queryStringParameters || {};
+        const status = params.status || 'pending';
+
+        if (!REQUEST_STATUSES.includes(status)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `Invalid status. Must be one of: ${REQUEST_STATUSES.join(', ')}`,
+                }),
+            };
+        }
+
+        // Oldest first so librarians work through the queue in order
+        const { data: requests, error: requestsError } = await supabase
+            .from('booking_requests')
+            .select('id, student_id, room_id, start_time, end_time, status, created_at, reviewed_at, rejection_reason, series_id, rooms(name)')
+            .eq('status', status)
+            .order('created_at', { ascending: status === 'pending' })
+            .limit(200);
+
+        if (requestsError) {
+            throw requestsError;
+        }
+
+        const members = await getGroupMembers(supabase, requests.map(request => request.id));
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify(requests.map(request => ({
+                id: request.id,
+                student_id: request.student_id,
+                room_id: request.room_id,
+                room_name: request.rooms ? request.rooms.name : null,
+                start_time: request.start_time,
+                end_time: request.end_time,
+                status: request.status,
+                created_at: request.created_at,
+                reviewed_at: request.reviewed_at,
+                rejection_reason: request.rejection_reason,
+                series_id: request.series_id,
+                members: members.get(request.id) || [],
+            }))),
+        };
+
+    } catch (error) {
+        console.error('Error in getPendingRequests:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to fetch booking requests',
+                error: error.message,
+            }),
+        };
+    }
+};
@@ -0,0 +1,39 @@
+const { corsHeaders } = require('./lib/cors');
+
+// Returns the public settings the browser needs to subscribe to schedule
+// change broadcasts. The anon key is public by design; no table access is
+// granted through it, only the broadcast channel.
+exports.handler = async (event, context) => {
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    // Clients fall back to polling when Realtime isn't configured
+    const enabled = Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY);
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            enabled,
+            url: enabled ? process.env.SUPABASE_URL : null,
+            anon_key: enabled ? process.env.SUPABASE_ANON_KEY : null,
+            channel: 'schedule',
+        }),
+    };
+};
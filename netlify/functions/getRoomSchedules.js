@@ -1,4 +1,9 @@
 const { createClient } = require('@supabase/supabase-js');
+const { LIBRARY_TIMEZONE, ADVANCE_BOOKING_DAYS, parseDateString, todayString } = require('./lib/dates');
+const { atTime, getDayHours, getRoomBlackouts } = require('./lib/hours');
+const { verifyAdmin, verifyStudent } = require('./lib/auth');
+const { CHECK_IN_GRACE_MINUTES } = require('./lib/noShows');
+const { corsHeaders } = require('./lib/cors');
 
 const supabase = createClient(
     process.env.SUPABASE_URL,
@@ -7,8 +12,8 @@ const supabase = createClient(
 
 exports.handler = async (event, context) => {
     const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Allow-Methods': 'GET, OPTIONS',
         'Content-Type': 'application/json',
     };
@@ -26,10 +31,27 @@ exports.handler = async (event, context) => {
     }
 
     try {
-        // Get today's date range (8 AM to 6 PM)
-        const now = new Date();
-        const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 8, 0, 0);
-        const todayEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 19, 0, 0);
+        // Requested day, defaulting to today
+        const params = event.queryStringParameters || {};
+        const day = params.date ? parseDateString(params.date) : todayString();
+
+        if (!day) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ message: 'Invalid date format. Must be YYYY-MM-DD.' }),
+            };
+        }
+
+        // Librarians see who booked; students see which bookings are theirs;
+        // everyone else only sees busy blocks
+        const librarian = verifyAdmin(event);
+        const student = librarian ? null : verifyStudent(event);
+
+        // Get the day's opening hours
+        const hours = await getDayHours(supabase, day);
+        const dayStart = atTime(day, hours.open);
+        const dayEnd = atTime(day, hours.close);
 
         // Get all rooms
         const { data: rooms, error: roomsError } = await supabase
@@ -40,26 +62,58 @@ exports.handler = async (event, context) => {
 
         if (roomsError) throw roomsError;
 
-        // Get all bookings for today
+        // Get all bookings for the day
         const { data: bookings, error: bookingsError } = await supabase
             .from('bookings')
-            .select('room_id, student_id, start_time, end_time')
-            .gte('end_time', todayStart.toISOString())
-            .lte('start_time', todayEnd.toISOString())
+            .select('room_id, request_id, student_id, start_time, end_time, checked_in_at, booking_requests(series_id)')
+            .gte('end_time', dayStart.toISOString())
+            .lte('start_time', dayEnd.toISOString())
             .order('start_time');
 
         if (bookingsError) throw bookingsError;
 
+        const blackouts = await getRoomBlackouts(supabase, dayStart, dayEnd);
+
         // Group bookings by room
         const bookingsByRoom = {};
         bookings.forEach(booking => {
             if (!bookingsByRoom[booking.room_id]) {
                 bookingsByRoom[booking.room_id] = [];
             }
-            bookingsByRoom[booking.room_id].push({
-                student_id: booking.student_id,
+
+            const busyBlock = {
                 start_time: booking.start_time,
                 end_time: booking.end_time,
+            };
+            const details = {
+                request_id: booking.request_id,
+                series_id: booking.booking_requests ? booking.booking_requests.series_id : null,
+            };
+
+            if (librarian) {
+                bookingsByRoom[booking.room_id].push({
+                    ...busyBlock,
+                    ...details,
+                    student_id: booking.student_id,
+                    checked_in_at: booking.checked_in_at,
+                });
+            } else if (student && booking.student_id === student.sub) {
+                bookingsByRoom[booking.room_id].push({ ...busyBlock, ...details, is_yours: true });
+            } else {
+                bookingsByRoom[booking.room_id].push(busyBlock);
+            }
+        });
+
+        // Group maintenance blackouts by room
+        const blackoutsByRoom = {};
+        blackouts.forEach(blackout => {
+            if (!blackoutsByRoom[blackout.room_id]) {
+                blackoutsByRoom[blackout.room_id] = [];
+            }
+            blackoutsByRoom[blackout.room_id].push({
+                start_time: blackout.start_time,
+                end_time: blackout.end_time,
+                reason: blackout.reason,
             });
         });
 
@@ -68,13 +122,18 @@ exports.handler = async (event, context) => {
             id: room.id,
             name: room.name,
             bookings: bookingsByRoom[room.id] || [],
+            blackouts: blackoutsByRoom[room.id] || [],
         }));
 
         return {
             statusCode: 200,
             headers,
             body: JSON.stringify({
-                date: now.toISOString().split('T')[0],
+                date: day,
+                timezone: LIBRARY_TIMEZONE,
+                max_advance_days: ADVANCE_BOOKING_DAYS,
+                check_in_grace_minutes: CHECK_IN_GRACE_MINUTES,
+                hours,
                 rooms: roomSchedules,
             }),
         };
@@ -1,4 +1,11 @@
 const { createClient } = require('@supabase/supabase-js');
+const { isValidTime } = require('../../validation');
+const { verifyStudent } = require('./lib/auth');
+const { zonedTimeToUtc, parseDateString, todayString } = require('./lib/dates');
+const { atTime, getDayHours } = require('./lib/hours');
+const { getStudentAccessGroups, canAccessRoom } = require('./lib/access');
+const { getBusyIntervals, isFree } = require('./lib/availability');
+const { corsHeaders } = require('./lib/cors');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -9,8 +16,8 @@ const supabase = createClient(
 exports.handler = async (event, context) => {
     // Set CORS headers
     const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Allow-Methods': 'GET, OPTIONS',
         'Content-Type': 'application/json',
     };
@@ -34,12 +41,49 @@ exports.handler = async (event, context) => {
     }
 
     try {
-        const now = new Date().toISOString();
+        const params = event.queryStringParameters || {};
+
+        // Signed-in students see their restricted rooms unlocked
+        const student = verifyStudent(event);
+        const studentId = student ? student.sub : null;
+
+        // With date, start_time and duration, availability is for that slot
+        // (counting pending requests, which would also block a new one);
+        // otherwise it is for right now
+        const hasSlot = Boolean(params.date || params.start_time || params.duration);
+        // A zero-length range would overlap nothing, so "now" spans a millisecond
+        let from = new Date();
+        let to = new Date(from.getTime() + 1);
+        let day = todayString();
+
+        if (hasSlot) {
+            const date = parseDateString(params.date);
+            const duration = parseInt(params.duration);
+
+            if (!date || !isValidTime(params.start_time) || !(duration > 0)) {
+                return {
+                    statusCode: 400,
+                    headers,
+                    body: JSON.stringify({
+                        message: 'To check a time slot, pass date (YYYY-MM-DD), start_time (HH:MM) and duration (minutes)',
+                    }),
+                };
+            }
+
+            from = zonedTimeToUtc(date, params.start_time);
+            to = new Date(from.getTime() + duration * 60000);
+            day = date;
+        }
+
+        // No room is available while the library is closed or outside opening hours
+        const dayHours = await getDayHours(supabase, day);
+        const isOpen = !dayHours.is_closed &&
+            from >= atTime(day, dayHours.open) && to <= atTime(day, dayHours.close);
 
         // Get all rooms
         const { data: rooms, error: roomsError } = await supabase
             .from('rooms')
-            .select('id, name, access_group, is_active')
+            .select('id, name, access_group, is_active, capacity, floor, location, equipment, photo_url')
             .eq('is_active', true)
             .order('id');
 
@@ -47,25 +91,26 @@ exports.handler = async (event, context) => {
             throw roomsError;
         }
 
-        // Get current active bookings (not expired)
-        const { data: activeBookings, error: bookingsError } = await supabase
-            .from('bookings')
-            .select('room_id, start_time, end_time')
-            .gte('end_time', now)
-            .lte('start_time', now);
-
-        if (bookingsError) {
-            throw bookingsError;
-        }
+        const busy = await getBusyIntervals(supabase, from, to, {
+            includePending: hasSlot,
+            studentId,
+        });
 
-        // Create a set of occupied room IDs
-        const occupiedRoomIds = new Set(activeBookings.map(b => b.room_id));
+        // Restricted rooms stay locked unless the student is in the room's group
+        const accessGroups = await getStudentAccessGroups(supabase, studentId);
 
         // Map rooms with availability status
         const roomsWithStatus = rooms.map(room => ({
             id: room.id,
             name: room.name,
-            is_available: !occupiedRoomIds.has(room.id),
+            access_group: room.access_group,
+            capacity: room.capacity,
+            floor: room.floor,
+            location: room.location,
+            equipment: room.equipment || [],
+            photo_url: room.photo_url,
+            is_available: isOpen && isFree(busy.get(room.id), from, to),
+            is_restricted: !canAccessRoom(room, accessGroups),
         }));
 
         return {
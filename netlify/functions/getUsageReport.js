@@ -0,0 +1,171 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyAdmin } = require('./lib/auth');
+const { LIBRARY_TIMEZONE, parseDateString, todayString, addDays } = require('./lib/dates');
+const { buildUsageReport, toCsv } = require('./lib/reports');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const GROUPINGS = ['hour', 'day', 'week'];
+
+// Longest range per grouping, in days, to keep reports a sensible size
+const MAX_RANGE_DAYS = { hour: 31, day: 366, week: 366 };
+
+// Days covered when no range is given
+const DEFAULT_RANGE_DAYS = 28;
+
+// Report sections that can be exported as CSV, with their columns
+const CSV_TABLES = {
+    occupancy: ['period', 'room_id', 'room_name', 'booked_minutes', 'open_minutes', 'occupancy'],
+    rooms: ['room_id', 'room_name', 'booked_minutes', 'open_minutes', 'occupancy'],
+    heatmap: ['weekday', 'hour', 'booked_minutes', 'open_minutes', 'occupancy'],
+    students: ['requests', 'students'],
+};
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    if (!verifyAdmin(event)) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Unauthorized' }),
+        };
+    }
+
+    try {
+        const params = event.queryStringParameters || {};
+        const groupBy = params.group_by || 'day';
+        const format = params.format || 'json';
+        const table = params.table || 'occupancy';
+
+        if (!GROUPINGS.includes(groupBy)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `Invalid group_by. Must be one of: ${GROUPINGS.join(', ')}`,
+                }),
+            };
+        }
+
+        if (format !== 'json' && format !== 'csv') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'Invalid format. Must be json or csv.',
+                }),
+            };
+        }
+
+        if (format === 'csv' && !CSV_TABLES[table]) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `Invalid table. Must be one of: ${Object.keys(CSV_TABLES).join(', ')}`,
+                }),
+            };
+        }
+
+        // Defaults to the last four weeks up to today
+        const to = params.to ? parseDateString(params.to) : todayString();
+        const from = params.from ? parseDateString(params.from) : addDays(to || todayString(), 1 - DEFAULT_RANGE_DAYS);
+
+        if (!from || !to) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'Invalid date format. Must be YYYY-MM-DD.',
+                }),
+            };
+        }
+
+        if (from > to) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'The start date must not be after the end date',
+                }),
+            };
+        }
+
+        if (addDays(from, MAX_RANGE_DAYS[groupBy]) <= to) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `Reports grouped by ${groupBy} can cover at most ${MAX_RANGE_DAYS[groupBy]} days`,
+                }),
+            };
+        }
+
+        const report = await buildUsageReport(supabase, { from, to, groupBy });
+
+        if (format === 'csv') {
+            const rows = table === 'students' ? report.students.distribution : report[table];
+
+            return {
+                statusCode: 200,
+                headers: {
+                    ...headers,
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="usage-${table}-${from}-to-${to}.csv"`,
+                },
+                body: toCsv(rows, CSV_TABLES[table]),
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                timezone: LIBRARY_TIMEZONE,
+                ...report,
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in getUsageReport:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to build usage report',
+                error: error.message,
+            }),
+        };
+    }
+};
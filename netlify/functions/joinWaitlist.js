@@ -0,0 +1,266 @@
+const { createClient } = require('@supabase/supabase-js');
+const { ERROR_CODES, validationError, validateBookingRequest } = require('../../validation');
+const { verifyStudent } = require('./lib/auth');
+const {
+    ADVANCE_BOOKING_DAYS,
+    zonedTimeToUtc,
+    formatDateString,
+    isWithinBookingHorizon,
+} = require('./lib/dates');
+const { getStudentAccessGroups, canAccessRoom } = require('./lib/access');
+const { getNoShowBlock } = require('./lib/noShows');
+const { isSlotFree } = require('./lib/waitlist');
+const { MIN_PARTY_SIZE, MAX_PARTY_SIZE } = require('./lib/groups');
+const { corsHeaders } = require('./lib/cors');
+
+// How many waitlist entries a student may have open at once
+const WAITLIST_MAX_ENTRIES = parseInt(process.env.WAITLIST_MAX_ENTRIES || '3');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    // The student is whoever signed in, never an ID sent in the request
+    const student = verifyStudent(event);
+    if (!student) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Please sign in to continue' }),
+        };
+    }
+
+    try {
+        // room_id is omitted (or null) to wait for any room that fits
+        const { room_id = null, date, start_time, duration, members } = JSON.parse(event.body);
+        const student_id = student.sub;
+
+        // The same checks as a booking request, except that the room may be
+        // left open. The group is named up front so an accepted offer can
+        // invite everyone.
+        const invalid = validateBookingRequest({ room_id, date, start_time, duration, members }, {
+            organizerId: student_id,
+            toInstant: zonedTimeToUtc,
+            minPartySize: MIN_PARTY_SIZE,
+            maxPartySize: MAX_PARTY_SIZE,
+            anyRoom: true,
+        });
+
+        if (invalid) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(invalid),
+            };
+        }
+
+        const memberIds = members.map(member => String(member).trim());
+        const party_size = memberIds.length + 1;
+
+        // Students blocked from booking can't queue for bookings either
+        const blockedUntil = await getNoShowBlock(supabase, student_id);
+
+        if (blockedUntil) {
+            return {
+                statusCode: 403,
+                headers,
+                body: JSON.stringify(validationError(ERROR_CODES.NO_SHOW_BLOCKED, null,
+                    `Booking is suspended until ${formatDateString(blockedUntil)} after repeated no-shows`)),
+            };
+        }
+
+        if (!isWithinBookingHorizon(date)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(validationError(ERROR_CODES.OUTSIDE_BOOKING_WINDOW, 'date',
+                    `Bookings can only be made up to ${ADVANCE_BOOKING_DAYS} days in advance`)),
+            };
+        }
+
+        const startDateTime = zonedTimeToUtc(date, start_time);
+        const endDateTime = new Date(startDateTime.getTime() + duration * 60000);
+
+        // A specific room must exist, fit the group and be open to the student
+        if (room_id !== null) {
+            const { data: room, error: roomError } = await supabase
+                .from('rooms')
+                .select('id, is_active, access_group, capacity')
+                .eq('id', room_id)
+                .maybeSingle();
+
+            if (roomError) {
+                throw roomError;
+            }
+
+            if (!room) {
+                return {
+                    statusCode: 400,
+                    headers,
+                    body: JSON.stringify(validationError(ERROR_CODES.ROOM_NOT_FOUND, 'room_id', 'Invalid room ID')),
+                };
+            }
+
+            if (!room.is_active) {
+                return {
+                    statusCode: 400,
+                    headers,
+                    body: JSON.stringify(validationError(ERROR_CODES.ROOM_INACTIVE, 'room_id',
+                        'This room is currently inactive')),
+                };
+            }
+
+            if (party_size > room.capacity) {
+                return {
+                    statusCode: 400,
+                    headers,
+                    body: JSON.stringify(validationError(ERROR_CODES.ROOM_TOO_SMALL, 'room_id',
+                        `This room is for groups of ${MIN_PARTY_SIZE} to ${room.capacity} people`)),
+                };
+            }
+
+            const accessGroups = await getStudentAccessGroups(supabase, student_id);
+
+            if (!canAccessRoom(room, accessGroups)) {
+                return {
+                    statusCode: 403,
+                    headers,
+                    body: JSON.stringify(validationError(ERROR_CODES.ROOM_RESTRICTED, 'room_id',
+                        `This room is reserved for ${room.access_group} access`)),
+                };
+            }
+
+            if (await isSlotFree(supabase, room.id, startDateTime, endDateTime)) {
+                return {
+                    statusCode: 409,
+                    headers,
+                    body: JSON.stringify({
+                        message: 'This room is free at the selected time; request it directly instead',
+                    }),
+                };
+            }
+        }
+
+        // Check the student's open entries: no duplicates, and a cap on how many
+        const { data: openEntries, error: openError } = await supabase
+            .from('waitlist_entries')
+            .select('id, start_time, end_time')
+            .eq('student_id', student_id)
+            .in('status', ['waiting', 'offered']);
+
+        if (openError) {
+            throw openError;
+        }
+
+        const overlapping = openEntries.some(entry =>
+            new Date(entry.start_time) < endDateTime && new Date(entry.end_time) > startDateTime
+        );
+
+        if (overlapping) {
+            return {
+                statusCode: 409,
+                headers,
+                body: JSON.stringify({
+                    message: 'You are already on the waitlist for this time',
+                }),
+            };
+        }
+
+        if (openEntries.length >= WAITLIST_MAX_ENTRIES) {
+            return {
+                statusCode: 403,
+                headers,
+                body: JSON.stringify({
+                    message: `You can be on at most ${WAITLIST_MAX_ENTRIES} waitlists at once`,
+                }),
+            };
+        }
+
+        const { data: entry, error: insertError } = await supabase
+            .from('waitlist_entries')
+            .insert([{
+                student_id,
+                room_id,
+                start_time: startDateTime.toISOString(),
+                end_time: endDateTime.toISOString(),
+                party_size,
+                member_ids: memberIds,
+            }])
+            .select('id, created_at')
+            .single();
+
+        if (insertError) {
+            throw insertError;
+        }
+
+        // Position among earlier entries competing for the same room and time
+        let aheadQuery = supabase
+            .from('waitlist_entries')
+            .select('id', { count: 'exact', head: true })
+            .eq('status', 'waiting')
+            .lt('created_at', entry.created_at)
+            .lt('start_time', endDateTime.toISOString())
+            .gt('end_time', startDateTime.toISOString());
+
+        if (room_id !== null) {
+            aheadQuery = aheadQuery.or(`room_id.eq.${room_id},room_id.is.null`);
+        }
+
+        const { count: ahead, error: aheadError } = await aheadQuery;
+
+        if (aheadError) {
+            throw aheadError;
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                message: 'Added to the waitlist. We will notify you if the slot frees up.',
+                waitlist_id: entry.id,
+                position: ahead + 1,
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in joinWaitlist:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to join waitlist',
+                error: error.message,
+            }),
+        };
+    }
+};
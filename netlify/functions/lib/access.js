@@ -0,0 +1,37 @@
+/**
+ * Loads the access groups a student belongs to.
+ * @param {Object} supabase - Supabase client.
+ * @param {string} [studentId]
+ * @returns {Promise<Set<string>>} Empty when no student is given.
+ */
+async function getStudentAccessGroups(supabase, studentId) {
+    if (!studentId) {
+        return new Set();
+    }
+
+    const { data, error } = await supabase
+        .from('student_access_groups')
+        .select('access_group')
+        .eq('student_id', studentId);
+
+    if (error) {
+        throw error;
+    }
+
+    return new Set(data.map(row => row.access_group));
+}
+
+/**
+ * Checks whether a student with the given groups may book a room.
+ * @param {{access_group: string|null}} room
+ * @param {Set<string>} groups
+ * @returns {boolean}
+ */
+function canAccessRoom(room, groups) {
+    return !room.access_group || groups.has(room.access_group);
+}
+
+module.exports = {
+    getStudentAccessGroups,
+    canAccessRoom,
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Librarian sessions last a working day
+const ADMIN_TOKEN_TTL = '8h';
+
+// How long a student stays signed in after following a login link
+const STUDENT_TOKEN_TTL = process.env.STUDENT_SESSION_TTL || '7d';
+
+/**
+ * Hashes a password with scrypt. Stored as "scrypt$<salt>$<hash>".
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Checks a password against a hash produced by hashPassword.
+ * @param {string} password
+ * @param {string} stored
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Signs a session token for a librarian.
+ * @param {Object} librarian - Row from the librarians table.
+ * @returns {string}
+ */
+function signAdminToken(librarian) {
+    return jwt.sign(
+        { sub: String(librarian.id), email: librarian.email, role: 'librarian' },
+        process.env.JWT_SECRET,
+        { expiresIn: ADMIN_TOKEN_TTL }
+    );
+}
+
+/**
+ * Signs a session token for a student whose university email was verified.
+ * @param {string} studentId
+ * @returns {string}
+ */
+function signStudentToken(studentId) {
+    return jwt.sign(
+        { sub: studentId, role: 'student' },
+        process.env.JWT_SECRET,
+        { expiresIn: STUDENT_TOKEN_TTL }
+    );
+}
+
+/**
+ * Hashes a login link secret for storage, so a database leak can't be used
+ * to sign in.
+ * @param {string} secret
+ * @returns {string}
+ */
+function hashLoginSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Extracts the bearer token from the Authorization header.
+ * @param {Object} event - Netlify function event.
+ * @returns {string|null}
+ */
+function getBearerToken(event) {
+    const header = event.headers.authorization || event.headers.Authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Verifies the request carries a valid librarian token.
+ * @param {Object} event - Netlify function event.
+ * @returns {Object|null} Decoded token payload, or null when missing or invalid.
+ */
+function verifyAdmin(event) {
+    const token = getBearerToken(event);
+    if (!token) {
+        return null;
+    }
+
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        return payload.role === 'librarian' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Verifies the request carries a valid student token. The student ID is
+ * the token's subject.
+ * @param {Object} event - Netlify function event.
+ * @returns {Object|null} Decoded token payload, or null when missing or invalid.
+ */
+function verifyStudent(event) {
+    const token = getBearerToken(event);
+    if (!token) {
+        return null;
+    }
+
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        return payload.role === 'student' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    signAdminToken,
+    signStudentToken,
+    hashLoginSecret,
+    getBearerToken,
+    verifyAdmin,
+    verifyStudent,
+};
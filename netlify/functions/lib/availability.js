@@ -0,0 +1,74 @@
+const { getRoomBlackouts } = require('./hours');
+
+/**
+ * Collects everything that keeps rooms busy within a time range: bookings,
+ * maintenance blackouts, unexpired waitlist offers and, optionally, pending
+ * requests.
+ * @param {Object} supabase - Supabase client.
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} [options]
+ * @param {boolean} [options.includePending=true] - Treat pending requests as busy.
+ * @param {string} [options.studentId] - Offers held for this student don't count.
+ * @returns {Promise<Map<number, Array<{start: Date, end: Date}>>>} Busy intervals by room ID.
+ */
+async function getBusyIntervals(supabase, from, to, { includePending = true, studentId = null } = {}) {
+    const overlapping = (query) => query
+        .lt('start_time', to.toISOString())
+        .gt('end_time', from.toISOString());
+
+    const [bookings, pending, offers, blackouts] = await Promise.all([
+        overlapping(supabase
+            .from('bookings')
+            .select('room_id, start_time, end_time')),
+        includePending
+            ? overlapping(supabase
+                .from('booking_requests')
+                .select('room_id, start_time, end_time')
+                .eq('status', 'pending'))
+            : { data: [] },
+        overlapping(supabase
+            .from('waitlist_entries')
+            .select('student_id, offered_room_id, start_time, end_time')
+            .eq('status', 'offered')
+            .gt('offer_expires_at', new Date().toISOString())),
+        getRoomBlackouts(supabase, from, to),
+    ]);
+
+    if (bookings.error) throw bookings.error;
+    if (pending.error) throw pending.error;
+    if (offers.error) throw offers.error;
+
+    const busy = new Map();
+    const add = (roomId, row) => {
+        if (!busy.has(roomId)) {
+            busy.set(roomId, []);
+        }
+        busy.get(roomId).push({ start: new Date(row.start_time), end: new Date(row.end_time) });
+    };
+
+    bookings.data.forEach(row => add(row.room_id, row));
+    pending.data.forEach(row => add(row.room_id, row));
+    offers.data
+        .filter(row => row.student_id !== studentId)
+        .forEach(row => add(row.offered_room_id, row));
+    blackouts.forEach(row => add(row.room_id, row));
+
+    return busy;
+}
+
+/**
+ * Checks whether a range is clear of a room's busy intervals.
+ * @param {Array<{start: Date, end: Date}>} [intervals]
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {boolean}
+ */
+function isFree(intervals, start, end) {
+    return !(intervals || []).some(interval => interval.start < end && interval.end > start);
+}
+
+module.exports = {
+    getBusyIntervals,
+    isFree,
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Leading zero bits required of sha256(token + nonce); each extra bit
+// doubles the client's work
+const CHALLENGE_DIFFICULTY = parseInt(process.env.CHALLENGE_DIFFICULTY || '16');
+
+// How long a client has to solve and use a challenge, in seconds
+const CHALLENGE_TTL_SECONDS = 300;
+
+/**
+ * Counts the leading zero bits of a buffer.
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+/**
+ * Issues a proof-of-work challenge. The token is signed, so the server keeps
+ * no state until a solution comes back.
+ * @param {string} subject - Who the challenge is for, e.g. the student ID.
+ * @returns {{token: string, difficulty: number}}
+ */
+function issueChallenge(subject) {
+    const token = jwt.sign(
+        { sub: subject, purpose: 'challenge', difficulty: CHALLENGE_DIFFICULTY },
+        process.env.JWT_SECRET,
+        { expiresIn: CHALLENGE_TTL_SECONDS, jwtid: crypto.randomUUID() }
+    );
+    return { token, difficulty: CHALLENGE_DIFFICULTY };
+}
+
+/**
+ * Checks a challenge solution. Each challenge can be redeemed once, for as
+ * long as its token is valid.
+ * @param {Object} store - Rate-limit counter store, used to spot reuse.
+ * @param {{token: string, nonce: string}} [solution]
+ * @param {string} subject - Must match the subject the challenge was issued for.
+ * @returns {Promise<boolean>}
+ */
+async function verifyChallenge(store, solution, subject) {
+    if (!solution || !solution.token || solution.nonce === undefined) {
+        return false;
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(solution.token, process.env.JWT_SECRET);
+    } catch (error) {
+        return false;
+    }
+
+    if (payload.purpose !== 'challenge' || payload.sub !== subject) {
+        return false;
+    }
+
+    const digest = crypto.createHash('sha256').update(`${solution.token}${solution.nonce}`).digest();
+    if (leadingZeroBits(digest) < payload.difficulty) {
+        return false;
+    }
+
+    return store.claim(`challenge:${payload.jti}`, new Date(payload.exp * 1000));
+}
+
+module.exports = {
+    CHALLENGE_DIFFICULTY,
+    issueChallenge,
+    verifyChallenge,
+};
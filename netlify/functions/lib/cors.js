@@ -0,0 +1,42 @@
+// Origins allowed to call the functions from a browser, comma-separated.
+// Defaults to the site's own address (Netlify sets URL), which the app is
+// served from anyway.
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || process.env.URL || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+// Version of the response payloads. Bumped when a change would break clients
+// built for the previous version; adding fields doesn't need a bump. Sent on
+// every response so an outdated app can tell it needs to reload.
+const API_VERSION = 1;
+
+/**
+ * CORS origin headers for a request, plus the API version. Allowed origins
+ * are echoed back; other origins get no Access-Control-Allow-Origin, so
+ * browsers block the response.
+ * @param {Object} event - Netlify function event.
+ * @returns {Object}
+ */
+function corsHeaders(event) {
+    const origin = (event.headers || {}).origin || (event.headers || {}).Origin;
+
+    if (!origin || !ALLOWED_ORIGINS.includes(origin)) {
+        return {
+            Vary: 'Origin',
+            'X-API-Version': String(API_VERSION),
+        };
+    }
+
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Expose-Headers': 'X-API-Version',
+        Vary: 'Origin',
+        'X-API-Version': String(API_VERSION),
+    };
+}
+
+module.exports = {
+    ALLOWED_ORIGINS,
+    corsHeaders,
+};
@@ -0,0 +1,164 @@
+const { isValidDate } = require('../../../validation');
+
+// All calendar dates and wall-clock times are interpreted in the library's
+// timezone, independent of where the function runs (Netlify runs in UTC)
+const LIBRARY_TIMEZONE = process.env.LIBRARY_TIMEZONE || 'Asia/Dubai';
+
+// How far ahead students may book, in days (0 = today only)
+const ADVANCE_BOOKING_DAYS = parseInt(process.env.ADVANCE_BOOKING_DAYS || '7');
+
+// How far ahead later sessions of a recurring booking may be, in days; the
+// first session still has to fall within ADVANCE_BOOKING_DAYS
+const SERIES_BOOKING_DAYS = parseInt(process.env.SERIES_BOOKING_DAYS || '168');
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: LIBRARY_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+});
+
+/**
+ * Splits an instant into its wall-clock fields in the library timezone.
+ * @param {Date} date
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date) {
+    const parts = {};
+    partsFormatter.formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value);
+        }
+    });
+    return parts;
+}
+
+/**
+ * Offset of the library timezone from UTC at the given instant, in milliseconds.
+ * @param {Date} date
+ * @returns {number}
+ */
+function getTimezoneOffset(date) {
+    const { year, month, day, hour, minute, second } = getZonedParts(date);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock date and time in the library timezone to an instant.
+ * Times skipped by a DST change resolve to the instant just after the gap.
+ * @param {string} dateString - Format "YYYY-MM-DD".
+ * @param {string} [timeString='00:00'] - Format "HH:MM".
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateString, timeString = '00:00') {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hours, minutes] = timeString.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // The offset may differ on either side of a DST change, so re-check it
+    // at the first guess
+    const firstOffset = getTimezoneOffset(new Date(wallClock));
+    const firstGuess = wallClock - firstOffset;
+    const secondOffset = getTimezoneOffset(new Date(firstGuess));
+
+    if (firstOffset === secondOffset) {
+        return new Date(firstGuess);
+    }
+
+    const secondGuess = wallClock - secondOffset;
+    if (getTimezoneOffset(new Date(secondGuess)) === secondOffset) {
+        return new Date(secondGuess);
+    }
+
+    // Neither offset round-trips: the time falls in a DST gap
+    return new Date(Math.max(firstGuess, secondGuess));
+}
+
+/**
+ * Validates a "YYYY-MM-DD" string.
+ * @param {string} dateString
+ * @returns {string|null} The date string, or null when it is not a real calendar date.
+ */
+function parseDateString(dateString) {
+    return isValidDate(dateString) ? dateString : null;
+}
+
+/**
+ * Formats an instant as its "YYYY-MM-DD" calendar date in the library timezone.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateString(date) {
+    const { year, month, day } = getZonedParts(date);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Formats an instant as its "HH:MM" wall-clock time in the library timezone.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatTimeString(date) {
+    const { hour, minute } = getZonedParts(date);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Today's date in the library timezone.
+ * @returns {string}
+ */
+function todayString() {
+    return formatDateString(new Date());
+}
+
+/**
+ * Moves a "YYYY-MM-DD" date by a number of calendar days.
+ * @param {string} dateString
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week for a "YYYY-MM-DD" date, 0 = Sunday.
+ * @param {string} dateString
+ * @returns {number}
+ */
+function getWeekday(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Checks whether a date falls between today and the booking horizon.
+ * @param {string} dateString
+ * @param {number} [horizonDays] - Defaults to the advance-booking horizon.
+ * @returns {boolean}
+ */
+function isWithinBookingHorizon(dateString, horizonDays = ADVANCE_BOOKING_DAYS) {
+    const today = todayString();
+    return dateString >= today && dateString <= addDays(today, horizonDays);
+}
+
+module.exports = {
+    LIBRARY_TIMEZONE,
+    ADVANCE_BOOKING_DAYS,
+    SERIES_BOOKING_DAYS,
+    getZonedParts,
+    zonedTimeToUtc,
+    parseDateString,
+    formatDateString,
+    formatTimeString,
+    todayString,
+    addDays,
+    getWeekday,
+    isWithinBookingHorizon,
+};
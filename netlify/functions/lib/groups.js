@@ -0,0 +1,91 @@
+const Validation = require('../../../validation');
+const { notifyStudent } = require('./notifications');
+
+// Group size limits, including the organizer
+const MIN_PARTY_SIZE = parseInt(process.env.MIN_PARTY_SIZE || String(Validation.MIN_PARTY_SIZE));
+const MAX_PARTY_SIZE = parseInt(process.env.MAX_PARTY_SIZE || String(Validation.MAX_PARTY_SIZE));
+
+/**
+ * IDs of requests the student belongs to as a member and hasn't declined,
+ * limited to those ending after the given time so past groups don't pile up.
+ * @param {Object} supabase - Supabase client.
+ * @param {string} studentId
+ * @param {Date} endingAfter
+ * @returns {Promise<number[]>}
+ */
+async function getMemberRequestIds(supabase, studentId, endingAfter) {
+    const { data, error } = await supabase
+        .from('booking_request_members')
+        .select('request_id, booking_requests!inner(end_time)')
+        .eq('student_id', studentId)
+        .neq('status', 'declined')
+        .gt('booking_requests.end_time', endingAfter.toISOString());
+
+    if (error) {
+        throw error;
+    }
+
+    return data.map(membership => membership.request_id);
+}
+
+/**
+ * Members of each of the given requests.
+ * @param {Object} supabase - Supabase client.
+ * @param {number[]} requestIds
+ * @returns {Promise<Map<number, Array<{student_id: string, status: string}>>>}
+ */
+async function getGroupMembers(supabase, requestIds) {
+    const members = new Map();
+    if (requestIds.length === 0) {
+        return members;
+    }
+
+    const { data, error } = await supabase
+        .from('booking_request_members')
+        .select('request_id, student_id, status')
+        .in('request_id', requestIds)
+        .order('created_at');
+
+    if (error) {
+        throw error;
+    }
+
+    data.forEach(member => {
+        const list = members.get(member.request_id) || [];
+        list.push({ student_id: member.student_id, status: member.status });
+        members.set(member.request_id, list);
+    });
+
+    return members;
+}
+
+/**
+ * Notifies every member who hasn't declined. Like notifyStudent, never throws.
+ * @param {Object} supabase - Supabase client.
+ * @param {string} type - Notification type, see notifyStudent.
+ * @param {Object} booking - As for notifyStudent; student_id is replaced per member.
+ * @param {number} requestId - Request whose members are notified.
+ * @param {Object} [options]
+ * @param {boolean} [options.confirmedOnly] - Skip members who haven't confirmed yet.
+ * @returns {Promise<void>}
+ */
+async function notifyMembers(supabase, type, booking, requestId, { confirmedOnly = false } = {}) {
+    try {
+        const members = (await getGroupMembers(supabase, [requestId])).get(requestId) || [];
+
+        await Promise.all(members
+            .filter(member => confirmedOnly ? member.status === 'confirmed' : member.status !== 'declined')
+            .map(member => notifyStudent(supabase, type, { ...booking, student_id: member.student_id })));
+
+    } catch (error) {
+        console.error(`Failed to notify group members of ${type}:`, error);
+    }
+}
+
+module.exports = {
+    MIN_PARTY_SIZE,
+    MAX_PARTY_SIZE,
+    getMemberRequestIds,
+    getGroupMembers,
+    notifyMembers,
+};
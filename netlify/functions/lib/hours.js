@@ -0,0 +1,91 @@
+const { zonedTimeToUtc, getWeekday } = require('./dates');
+
+// Used for weekdays missing from the opening_hours table
+const DEFAULT_HOURS = { open: '08:00', close: '19:00' };
+
+/**
+ * Converts "HH:MM" or "HH:MM:SS" to minutes after midnight.
+ * @param {string} time
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Returns the instant of a "HH:MM" library time on the given day.
+ * @param {string} day - Format "YYYY-MM-DD".
+ * @param {string} time
+ * @returns {Date}
+ */
+function atTime(day, time) {
+    return zonedTimeToUtc(day, time.slice(0, 5));
+}
+
+/**
+ * Looks up the library's opening hours for a day, taking closures into account.
+ * @param {Object} supabase - Supabase client.
+ * @param {string} day - Format "YYYY-MM-DD".
+ * @returns {Promise<{open: string, close: string, is_closed: boolean, reason: string|null}>}
+ */
+async function getDayHours(supabase, day) {
+    const [hoursResult, closureResult] = await Promise.all([
+        supabase
+            .from('opening_hours')
+            .select('open_time, close_time, is_closed')
+            .eq('weekday', getWeekday(day))
+            .maybeSingle(),
+        supabase
+            .from('library_closures')
+            .select('reason')
+            .eq('date', day)
+            .maybeSingle(),
+    ]);
+
+    if (hoursResult.error) throw hoursResult.error;
+    if (closureResult.error) throw closureResult.error;
+
+    const hours = hoursResult.data;
+    const closure = closureResult.data;
+
+    return {
+        open: hours ? hours.open_time.slice(0, 5) : DEFAULT_HOURS.open,
+        close: hours ? hours.close_time.slice(0, 5) : DEFAULT_HOURS.close,
+        is_closed: Boolean(closure) || Boolean(hours && hours.is_closed),
+        reason: closure ? closure.reason : null,
+    };
+}
+
+/**
+ * Fetches maintenance blackouts overlapping a time range.
+ * @param {Object} supabase - Supabase client.
+ * @param {Date} from
+ * @param {Date} to
+ * @param {number} [roomId] - Restrict to a single room.
+ * @returns {Promise<Array<{room_id: number, start_time: string, end_time: string, reason: string}>>}
+ */
+async function getRoomBlackouts(supabase, from, to, roomId) {
+    let query = supabase
+        .from('room_blackouts')
+        .select('room_id, start_time, end_time, reason')
+        .lt('start_time', to.toISOString())
+        .gt('end_time', from.toISOString())
+        .order('start_time');
+
+    if (roomId) {
+        query = query.eq('room_id', roomId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+}
+
+module.exports = {
+    DEFAULT_HOURS,
+    timeToMinutes,
+    atTime,
+    getDayHours,
+    getRoomBlackouts,
+};
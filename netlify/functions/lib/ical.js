@@ -0,0 +1,135 @@
+// Product identifier written into every calendar (RFC 5545 PRODID)
+const PRODUCT_ID = '-//Library Room Booking//EN';
+
+// Host that makes event UIDs globally unique
+const UID_DOMAIN = process.env.URL ? new URL(process.env.URL).hostname : 'library-booking';
+
+// iCalendar event status for each booking request status. Requests that were
+// rejected, cancelled or released are sent as cancelled so subscribed
+// calendars remove them.
+const EVENT_STATUSES = {
+    pending: 'TENTATIVE',
+    approved: 'CONFIRMED',
+    rejected: 'CANCELLED',
+    cancelled: 'CANCELLED',
+    no_show: 'CANCELLED',
+};
+
+// Calendar clients only apply an update with a higher SEQUENCE, so each
+// status gets a revision later than the ones it can follow
+const EVENT_SEQUENCES = {
+    TENTATIVE: 0,
+    CONFIRMED: 1,
+    CANCELLED: 2,
+};
+
+/**
+ * Formats an instant as an iCalendar UTC date-time, e.g. "20240131T093000Z".
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function formatIcalDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapes a TEXT value.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets, continuing on lines that start with a space.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Builds a VEVENT for a booking request.
+ * @param {Object} request - Booking request row.
+ * @param {string} request.id
+ * @param {string} request.status
+ * @param {string} request.start_time
+ * @param {string} request.end_time
+ * @param {string} request.created_at
+ * @param {Object} options
+ * @param {string} options.summary
+ * @param {string} [options.location]
+ * @param {string} [options.description]
+ * @returns {Array<string>} Unfolded content lines.
+ */
+function buildEvent(request, { summary, location, description }) {
+    const status = EVENT_STATUSES[request.status] || 'TENTATIVE';
+    const modified = [request.created_at, request.reviewed_at, request.cancelled_at]
+        .filter(Boolean)
+        .map(date => new Date(date))
+        .reduce((latest, date) => (date > latest ? date : latest));
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:booking-request-${request.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatIcalDate(new Date())}`,
+        `LAST-MODIFIED:${formatIcalDate(modified)}`,
+        `SEQUENCE:${EVENT_SEQUENCES[status]}`,
+        `DTSTART:${formatIcalDate(request.start_time)}`,
+        `DTEND:${formatIcalDate(request.end_time)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        location ? `LOCATION:${escapeText(location)}` : null,
+        description ? `DESCRIPTION:${escapeText(description)}` : null,
+        `STATUS:${status}`,
+        'END:VEVENT',
+    ].filter(Boolean);
+}
+
+/**
+ * Wraps events in a VCALENDAR.
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by subscribing clients.
+ * @param {Array<Array<string>>} options.events - Results of buildEvent.
+ * @returns {string} The calendar, with CRLF line endings.
+ */
+function buildCalendar({ name, events }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flat(),
+        'END:VCALENDAR',
+    ];
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    buildEvent,
+    buildCalendar,
+};
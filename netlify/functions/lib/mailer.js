@@ -0,0 +1,76 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * In-memory transport that records messages instead of sending them.
+ * Selected with MAIL_TRANSPORT=mock for local development and tests.
+ * @returns {{sendMail: function(Object): Promise<Object>, sent: Array<Object>}}
+ */
+function createMockTransport() {
+    const sent = [];
+    return {
+        sent,
+        async sendMail(message) {
+            sent.push(message);
+            return { messageId: `mock-${sent.length}` };
+        },
+    };
+}
+
+/**
+ * Builds the transport named by MAIL_TRANSPORT ('smtp' by default).
+ * @returns {{sendMail: function(Object): Promise<Object>}}
+ */
+function createTransportFromEnv() {
+    if (process.env.MAIL_TRANSPORT === 'mock') {
+        return createMockTransport();
+    }
+
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+    });
+}
+
+let transport = null;
+
+/**
+ * Returns the shared mail transport, creating it on first use.
+ * @returns {{sendMail: function(Object): Promise<Object>}}
+ */
+function getTransport() {
+    if (!transport) {
+        transport = createTransportFromEnv();
+    }
+    return transport;
+}
+
+/**
+ * Replaces the shared transport, e.g. with createMockTransport() in tests.
+ * @param {{sendMail: function(Object): Promise<Object>}} newTransport
+ */
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+/**
+ * Sends an email from the configured MAIL_FROM address.
+ * @param {{to: string, subject: string, text: string}} message
+ * @returns {Promise<Object>}
+ */
+function sendMail(message) {
+    return getTransport().sendMail({
+        from: process.env.MAIL_FROM || 'Library Room Booking <no-reply@localhost>',
+        ...message,
+    });
+}
+
+module.exports = {
+    createMockTransport,
+    getTransport,
+    setTransport,
+    sendMail,
+};
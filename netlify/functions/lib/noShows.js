@@ -0,0 +1,43 @@
+// Students reaching NO_SHOW_LIMIT no-shows within NO_SHOW_WINDOW_DAYS are
+// blocked from booking for NO_SHOW_BLOCK_DAYS after their latest no-show
+const NO_SHOW_LIMIT = parseInt(process.env.NO_SHOW_LIMIT || '3');
+const NO_SHOW_WINDOW_DAYS = parseInt(process.env.NO_SHOW_WINDOW_DAYS || '30');
+const NO_SHOW_BLOCK_DAYS = parseInt(process.env.NO_SHOW_BLOCK_DAYS || '14');
+
+// Minutes after the start time before an unclaimed booking is released
+const CHECK_IN_GRACE_MINUTES = parseInt(process.env.CHECK_IN_GRACE_MINUTES || '10');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Works out whether a student is currently blocked for repeated no-shows.
+ * @param {Object} supabase - Supabase client.
+ * @param {string} studentId
+ * @returns {Promise<Date|null>} End of the block, or null when the student may book.
+ */
+async function getNoShowBlock(supabase, studentId) {
+    const since = new Date(Date.now() - NO_SHOW_WINDOW_DAYS * DAY_MS);
+
+    const { data: noShows, error } = await supabase
+        .from('no_shows')
+        .select('recorded_at')
+        .eq('student_id', studentId)
+        .gte('recorded_at', since.toISOString())
+        .order('recorded_at', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+
+    if (noShows.length < NO_SHOW_LIMIT) {
+        return null;
+    }
+
+    const blockedUntil = new Date(new Date(noShows[0].recorded_at).getTime() + NO_SHOW_BLOCK_DAYS * DAY_MS);
+    return blockedUntil > new Date() ? blockedUntil : null;
+}
+
+module.exports = {
+    CHECK_IN_GRACE_MINUTES,
+    getNoShowBlock,
+};
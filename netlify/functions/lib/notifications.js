@@ -0,0 +1,120 @@
+const { LIBRARY_TIMEZONE } = require('./dates');
+const { sendMail } = require('./mailer');
+const { CHECK_IN_GRACE_MINUTES } = require('./noShows');
+const { sendPushToStudent } = require('./push');
+
+// Students are emailed at <student_id>@STUDENT_EMAIL_DOMAIN
+const STUDENT_EMAIL_DOMAIN = process.env.STUDENT_EMAIL_DOMAIN;
+
+const dateFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: LIBRARY_TIMEZONE,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+});
+
+const timeFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: LIBRARY_TIMEZONE,
+    hour: 'numeric',
+    minute: '2-digit',
+});
+
+// Title and body for each notification type
+const TEMPLATES = {
+    approved: ({ room, when }) => ({
+        title: 'Booking approved',
+        body: `Your booking for ${room} on ${when} has been approved.`,
+    }),
+    rejected: ({ room, when, reason }) => ({
+        title: 'Booking request rejected',
+        body: `Your request for ${room} on ${when} was rejected${reason ? `: ${reason}` : '.'}`,
+    }),
+    cancelled: ({ room, when }) => ({
+        title: 'Booking cancelled',
+        body: `Your booking for ${room} on ${when} has been cancelled.`,
+    }),
+    reminder: ({ room, when }) => ({
+        title: 'Your booking starts soon',
+        body: `${room} is booked for you at ${when}. Remember to check in within ${CHECK_IN_GRACE_MINUTES} minutes of the start time.`,
+    }),
+    released: ({ room, when }) => ({
+        title: 'Booking released',
+        body: `Nobody checked in to ${room} on ${when} within ${CHECK_IN_GRACE_MINUTES} minutes, so the room has been released.`,
+    }),
+    waitlist_offer: ({ room, when, expires }) => ({
+        title: 'A room is free for you',
+        body: `${room} is now free on ${when}. Accept the offer by ${expires} to request it, or it passes to the next student on the waitlist.`,
+    }),
+    group_invite: ({ room, when, organizer }) => ({
+        title: 'You have been added to a group booking',
+        body: `${organizer} has requested ${room} on ${when} with you in the group. Open the app to confirm or decline.`,
+    }),
+    group_declined: ({ room, when, member }) => ({
+        title: 'A group member declined',
+        body: `${member} has left your group booking for ${room} on ${when}.`,
+    }),
+};
+
+/**
+ * Notifies a student about a booking by email and Web Push. Delivery
+ * failures are logged and never thrown, so a broken channel can't fail the
+ * action that triggered the notification.
+ * @param {Object} supabase - Supabase client.
+ * @param {'approved'|'rejected'|'cancelled'|'reminder'|'released'|'waitlist_offer'|'group_invite'|'group_declined'} type
+ * @param {Object} booking - Row with student_id, room_id, start_time, end_time,
+ *     for rejections rejection_reason, for waitlist offers
+ *     offer_expires_at, for group invitations organizer_id and for
+ *     declined members member_id. occurrence_count > 1 marks a
+ *     notification standing in for several sessions of a series.
+ * @returns {Promise<void>}
+ */
+async function notifyStudent(supabase, type, booking) {
+    try {
+        const { data: room } = await supabase
+            .from('rooms')
+            .select('name')
+            .eq('id', booking.room_id)
+            .maybeSingle();
+
+        const when = `${dateFormatter.format(new Date(booking.start_time))} - ` +
+            `${timeFormatter.format(new Date(booking.end_time))}`;
+
+        const { title, body: message } = TEMPLATES[type]({
+            room: room ? room.name : `Room ${booking.room_id}`,
+            when,
+            reason: booking.rejection_reason,
+            expires: booking.offer_expires_at && timeFormatter.format(new Date(booking.offer_expires_at)),
+            organizer: booking.organizer_id,
+            member: booking.member_id,
+        });
+
+        // One notification covers a whole recurring series
+        const body = booking.occurrence_count > 1
+            ? `${message} This applies to ${booking.occurrence_count} sessions, starting with this one.`
+            : message;
+
+        const deliveries = [sendPushToStudent(supabase, booking.student_id, { title, body, url: '/' })];
+
+        if (STUDENT_EMAIL_DOMAIN) {
+            deliveries.push(sendMail({
+                to: `${booking.student_id}@${STUDENT_EMAIL_DOMAIN}`,
+                subject: title,
+                text: body,
+            }));
+        }
+
+        const results = await Promise.allSettled(deliveries);
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.error(`Failed to deliver ${type} notification:`, result.reason));
+
+    } catch (error) {
+        console.error(`Failed to send ${type} notification:`, error);
+    }
+}
+
+module.exports = {
+    notifyStudent,
+};
@@ -0,0 +1,54 @@
+const webpush = require('web-push');
+
+const isConfigured = Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+if (isConfigured) {
+    webpush.setVapidDetails(
+        process.env.VAPID_SUBJECT || 'mailto:library@localhost',
+        process.env.VAPID_PUBLIC_KEY,
+        process.env.VAPID_PRIVATE_KEY
+    );
+}
+
+/**
+ * Sends a Web Push message to every device a student has subscribed.
+ * Subscriptions the push service reports as gone are removed.
+ * @param {Object} supabase - Supabase client.
+ * @param {string} studentId
+ * @param {{title: string, body: string, url?: string}} payload
+ * @returns {Promise<void>}
+ */
+async function sendPushToStudent(supabase, studentId, payload) {
+    if (!isConfigured) {
+        return;
+    }
+
+    const { data: subscriptions, error } = await supabase
+        .from('push_subscriptions')
+        .select('id, endpoint, p256dh, auth')
+        .eq('student_id', studentId);
+
+    if (error) {
+        throw error;
+    }
+
+    await Promise.all(subscriptions.map(async subscription => {
+        try {
+            await webpush.sendNotification(
+                { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+                JSON.stringify(payload)
+            );
+        } catch (error) {
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                await supabase.from('push_subscriptions').delete().eq('id', subscription.id);
+            } else {
+                throw error;
+            }
+        }
+    }));
+}
+
+module.exports = {
+    isConfigured,
+    sendPushToStudent,
+};
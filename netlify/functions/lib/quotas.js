@@ -0,0 +1,125 @@
+const { zonedTimeToUtc, formatDateString, addDays, getWeekday } = require('./dates');
+const { getMemberRequestIds } = require('./groups');
+
+// Fair-use limits, overridable per deployment
+const QUOTAS = {
+    maxMinutesPerDay: parseInt(process.env.QUOTA_MAX_MINUTES_PER_DAY || '120'),
+    maxMinutesPerWeek: parseInt(process.env.QUOTA_MAX_MINUTES_PER_WEEK || '360'),
+    maxActiveRequests: parseInt(process.env.QUOTA_MAX_ACTIVE_REQUESTS || '2'),
+    sameRoomCooldownMinutes: parseInt(process.env.QUOTA_SAME_ROOM_COOLDOWN_MINUTES || '60'),
+};
+
+/**
+ * Returns the Monday starting the week that contains the date.
+ * @param {string} dateString - Format "YYYY-MM-DD".
+ * @returns {string}
+ */
+function startOfWeek(dateString) {
+    const daysSinceMonday = (getWeekday(dateString) + 6) % 7;
+    return addDays(dateString, -daysSinceMonday);
+}
+
+/**
+ * Minutes of overlap between a booking and a [from, to) window.
+ * @param {Object} booking - Row with start_time and end_time.
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number}
+ */
+function minutesWithin(booking, from, to) {
+    const start = Math.max(new Date(booking.start_time).getTime(), from.getTime());
+    const end = Math.min(new Date(booking.end_time).getTime(), to.getTime());
+    return Math.max(0, (end - start) / 60000);
+}
+
+/**
+ * Checks a new request against the student's fair-use quotas.
+ * @param {Object} supabase - Supabase client.
+ * @param {Object} request
+ * @param {string} request.studentId
+ * @param {number} request.roomId
+ * @param {Date} request.startDateTime
+ * @param {Date} request.endDateTime
+ * @param {string|null} [request.seriesId] - Recurring series the request belongs to.
+ * @returns {Promise<string|null>} A message describing the violated rule, or null when within quota.
+ */
+async function checkStudentQuota(supabase, { studentId, roomId, startDateTime, endDateTime, seriesId = null }) {
+    const now = new Date();
+
+    // Day and week boundaries are library-timezone midnights, so they stay
+    // correct across DST changes
+    const day = formatDateString(startDateTime);
+    const monday = startOfWeek(day);
+    const dayStart = zonedTimeToUtc(day);
+    const dayEnd = zonedTimeToUtc(addDays(day, 1));
+    const weekStart = zonedTimeToUtc(monday);
+    const weekEnd = zonedTimeToUtc(addDays(monday, 7));
+    const cooldownMs = QUOTAS.sameRoomCooldownMinutes * 60000;
+
+    const earliest = new Date(Math.min(now.getTime(), weekStart.getTime(), startDateTime.getTime() - cooldownMs));
+
+    // Group bookings count for every member as well as the organizer
+    const memberRequestIds = await getMemberRequestIds(supabase, studentId, earliest);
+
+    const [ownResult, memberResult] = await Promise.all([
+        supabase
+            .from('booking_requests')
+            .select('id, room_id, start_time, end_time, series_id')
+            .eq('student_id', studentId)
+            .in('status', ['pending', 'approved'])
+            .gt('end_time', earliest.toISOString()),
+        supabase
+            .from('booking_requests')
+            .select('id, room_id, start_time, end_time, series_id')
+            .in('id', memberRequestIds)
+            .in('status', ['pending', 'approved'])
+            .gt('end_time', earliest.toISOString()),
+    ]);
+
+    if (ownResult.error) throw ownResult.error;
+    if (memberResult.error) throw memberResult.error;
+
+    const requests = [...ownResult.data, ...memberResult.data];
+
+    // A recurring series counts as a single active request, and occurrences
+    // of the series being requested don't count against it
+    const activeUnits = new Set(requests
+        .filter(request => new Date(request.end_time) > now && (!seriesId || request.series_id !== seriesId))
+        .map(request => request.series_id || `request-${request.id}`));
+    if (activeUnits.size >= QUOTAS.maxActiveRequests) {
+        return `You can have at most ${QUOTAS.maxActiveRequests} upcoming or pending bookings at a time`;
+    }
+
+    const requestedMinutes = (endDateTime - startDateTime) / 60000;
+
+    const dayMinutes = requests.reduce((total, request) => total + minutesWithin(request, dayStart, dayEnd), 0);
+    if (dayMinutes + requestedMinutes > QUOTAS.maxMinutesPerDay) {
+        const remaining = Math.max(0, QUOTAS.maxMinutesPerDay - dayMinutes);
+        return `Daily limit of ${QUOTAS.maxMinutesPerDay} minutes reached (${remaining} minutes left on this day)`;
+    }
+
+    const weekMinutes = requests.reduce((total, request) => total + minutesWithin(request, weekStart, weekEnd), 0);
+    if (weekMinutes + requestedMinutes > QUOTAS.maxMinutesPerWeek) {
+        const remaining = Math.max(0, QUOTAS.maxMinutesPerWeek - weekMinutes);
+        return `Weekly limit of ${QUOTAS.maxMinutesPerWeek} minutes reached (${remaining} minutes left this week)`;
+    }
+
+    const tooClose = requests.some(request => {
+        if (request.room_id !== roomId) {
+            return false;
+        }
+        const gapBefore = startDateTime - new Date(request.end_time);
+        const gapAfter = new Date(request.start_time) - endDateTime;
+        return gapBefore < cooldownMs && gapAfter < cooldownMs;
+    });
+    if (tooClose) {
+        return `Please leave at least ${QUOTAS.sameRoomCooldownMinutes} minutes between bookings of the same room`;
+    }
+
+    return null;
+}
+
+module.exports = {
+    QUOTAS,
+    checkStudentQuota,
+};
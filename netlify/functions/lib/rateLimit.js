@@ -0,0 +1,151 @@
+// Length of each rate-limit window, in seconds
+const RATE_LIMIT_WINDOW_SECONDS = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || '600');
+
+// Share of a limit after which callers are asked to solve a challenge
+const CHALLENGE_THRESHOLD = parseFloat(process.env.RATE_LIMIT_CHALLENGE_THRESHOLD || '0.5');
+
+/**
+ * In-memory counter store. Counts are per function instance, so this is
+ * meant for tests and local development.
+ * @returns {{hit: function(string, number): Promise<{hits: number, resetAt: Date}>, claim: function(string, Date): Promise<boolean>}}
+ */
+function createMemoryStore() {
+    const counters = new Map();
+    const claims = new Map();
+
+    return {
+        async hit(key, windowSeconds) {
+            const windowMs = windowSeconds * 1000;
+            const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+
+            // Drop counters from earlier windows
+            counters.forEach((counter, counterKey) => {
+                if (counter.windowStart < windowStart) {
+                    counters.delete(counterKey);
+                }
+            });
+
+            const counter = counters.get(key) || { windowStart, hits: 0 };
+            counter.hits += 1;
+            counters.set(key, counter);
+
+            return { hits: counter.hits, resetAt: new Date(windowStart + windowMs) };
+        },
+
+        async claim(key, expiresAt) {
+            // Drop expired claims
+            claims.forEach((claimExpiresAt, claimKey) => {
+                if (claimExpiresAt <= Date.now()) {
+                    claims.delete(claimKey);
+                }
+            });
+
+            if (claims.has(key)) {
+                return false;
+            }
+
+            claims.set(key, expiresAt.getTime());
+            return true;
+        },
+    };
+}
+
+/**
+ * Counter store backed by the rate_limit_counters and one_time_keys tables,
+ * shared by every function instance.
+ * @param {Object} supabase - Supabase client.
+ * @returns {{hit: function(string, number): Promise<{hits: number, resetAt: Date}>, claim: function(string, Date): Promise<boolean>}}
+ */
+function createSupabaseStore(supabase) {
+    return {
+        async hit(key, windowSeconds) {
+            const { data, error } = await supabase
+                .rpc('hit_rate_limit', {
+                    p_key: key,
+                    p_window_seconds: windowSeconds,
+                })
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { hits: data.hits, resetAt: new Date(data.reset_at) };
+        },
+
+        async claim(key, expiresAt) {
+            const { data, error } = await supabase.rpc('claim_one_time_key', {
+                p_key: key,
+                p_expires_at: expiresAt.toISOString(),
+            });
+
+            if (error) {
+                throw error;
+            }
+
+            return data === true;
+        },
+    };
+}
+
+let memoryStore = null;
+
+/**
+ * Returns the store selected by RATE_LIMIT_STORE ("supabase", the default,
+ * or "memory").
+ * @param {Object} supabase - Supabase client.
+ */
+function getRateLimitStore(supabase) {
+    if (process.env.RATE_LIMIT_STORE === 'memory') {
+        memoryStore = memoryStore || createMemoryStore();
+        return memoryStore;
+    }
+    return createSupabaseStore(supabase);
+}
+
+/**
+ * Best-effort client IP for a Netlify function request.
+ * @param {Object} event - Netlify function event.
+ * @returns {string}
+ */
+function getClientIp(event) {
+    const headers = event.headers || {};
+    return headers['x-nf-client-connection-ip'] ||
+        (headers['x-forwarded-for'] || '').split(',')[0].trim() ||
+        'unknown';
+}
+
+/**
+ * Counts a hit against each rule's key.
+ * @param {Object} store - Counter store.
+ * @param {Array<{key: string, limit: number}>} rules
+ * @returns {Promise<{limited: boolean, retryAfter: number, suspicious: boolean}>}
+ *     limited when any rule is over its limit, with retryAfter in seconds;
+ *     suspicious when any rule is past the challenge threshold.
+ */
+async function checkRateLimit(store, rules) {
+    const results = await Promise.all(rules.map(async rule => ({
+        rule,
+        ...(await store.hit(rule.key, RATE_LIMIT_WINDOW_SECONDS)),
+    })));
+
+    const exceeded = results.filter(result => result.hits > result.rule.limit);
+    const retryAfter = exceeded.length > 0
+        ? Math.max(...exceeded.map(result => Math.ceil((result.resetAt - Date.now()) / 1000)), 1)
+        : 0;
+
+    return {
+        limited: exceeded.length > 0,
+        retryAfter,
+        suspicious: results.some(result => result.hits > result.rule.limit * CHALLENGE_THRESHOLD),
+    };
+}
+
+module.exports = {
+    RATE_LIMIT_WINDOW_SECONDS,
+    createMemoryStore,
+    createSupabaseStore,
+    getRateLimitStore,
+    getClientIp,
+    checkRateLimit,
+};
@@ -0,0 +1,65 @@
+const { SERIES_BOOKING_DAYS, parseDateString, addDays, isWithinBookingHorizon } = require('./dates');
+
+// Upper bound on the number of occurrences in one series
+const MAX_OCCURRENCES = parseInt(process.env.RECURRENCE_MAX_OCCURRENCES || '12');
+
+// Days between occurrences for each supported frequency
+const FREQUENCY_DAYS = {
+    weekly: 7,
+    biweekly: 14,
+};
+
+/**
+ * Expands a recurrence rule into the dates of every occurrence.
+ * @param {string} firstDate - Date of the first occurrence, "YYYY-MM-DD".
+ * @param {Object} recurrence
+ * @param {'weekly'|'biweekly'} recurrence.frequency
+ * @param {number} [recurrence.count] - Number of occurrences, including the first.
+ * @param {string} [recurrence.until] - Last possible date, "YYYY-MM-DD", inclusive.
+ * @returns {{dates: string[]}|{error: string}}
+ */
+function expandRecurrence(firstDate, recurrence) {
+    const interval = FREQUENCY_DAYS[recurrence.frequency];
+    if (!interval) {
+        return { error: `Invalid recurrence frequency. Must be one of: ${Object.keys(FREQUENCY_DAYS).join(', ')}` };
+    }
+
+    if ((recurrence.count === undefined) === (recurrence.until === undefined)) {
+        return { error: 'Recurrence needs exactly one of count or until' };
+    }
+
+    let count = recurrence.count;
+
+    if (recurrence.until !== undefined) {
+        const until = parseDateString(recurrence.until);
+        if (!until || until < firstDate) {
+            return { error: 'Recurrence end date must be a valid date on or after the first booking' };
+        }
+
+        count = 1;
+        while (count <= MAX_OCCURRENCES && addDays(firstDate, count * interval) <= until) {
+            count++;
+        }
+    }
+
+    if (!Number.isInteger(count) || count < 2 || count > MAX_OCCURRENCES) {
+        return { error: `A recurring booking must have between 2 and ${MAX_OCCURRENCES} occurrences` };
+    }
+
+    const dates = [];
+    for (let i = 0; i < count; i++) {
+        dates.push(addDays(firstDate, i * interval));
+    }
+
+    // The whole series is refused rather than booked part-way
+    if (!isWithinBookingHorizon(dates[dates.length - 1], SERIES_BOOKING_DAYS)) {
+        return { error: `Recurring bookings can only run up to ${SERIES_BOOKING_DAYS} days ahead` };
+    }
+
+    return { dates };
+}
+
+module.exports = {
+    MAX_OCCURRENCES,
+    expandRecurrence,
+};
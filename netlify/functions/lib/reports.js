@@ -0,0 +1,321 @@
+const {
+    getZonedParts,
+    zonedTimeToUtc,
+    formatDateString,
+    addDays,
+    getWeekday,
+} = require('./dates');
+const { DEFAULT_HOURS, atTime } = require('./hours');
+
+// Rows fetched per query page; Supabase caps unpaged selects at 1000
+const REPORT_PAGE_SIZE = 1000;
+
+// Buckets for the number of requests each student made
+const STUDENT_BUCKETS = [
+    { label: '1', min: 1, max: 1 },
+    { label: '2', min: 2, max: 2 },
+    { label: '3-5', min: 3, max: 5 },
+    { label: '6-10', min: 6, max: 10 },
+    { label: '11+', min: 11, max: Infinity },
+];
+
+/**
+ * Runs a query page by page until every row is fetched.
+ * @param {function(): Object} buildQuery - Returns a fresh query for each page.
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += REPORT_PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(offset, offset + REPORT_PAGE_SIZE - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        rows.push(...data);
+        if (data.length < REPORT_PAGE_SIZE) {
+            return rows;
+        }
+    }
+}
+
+/**
+ * Splits a time range at each library-time hour boundary.
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Array<{day: string, hour: number, minutes: number}>}
+ */
+function hourSlices(start, end) {
+    const slices = [];
+    let cursor = start;
+
+    while (cursor < end) {
+        const { hour, minute, second } = getZonedParts(cursor);
+        const hourStart = cursor.getTime() - (minute * 60 + second) * 1000 - cursor.getMilliseconds();
+        const next = new Date(Math.min(hourStart + 3600000, end.getTime()));
+
+        slices.push({
+            day: formatDateString(cursor),
+            hour,
+            minutes: (next - cursor) / 60000,
+        });
+        cursor = next;
+    }
+
+    return slices;
+}
+
+/**
+ * Names the reporting period an hour falls in.
+ * @param {string} day - Format "YYYY-MM-DD".
+ * @param {number} hour
+ * @param {string} groupBy - "hour", "day" or "week".
+ * @returns {string} "YYYY-MM-DD HH:00", the day, or the Monday starting the week.
+ */
+function periodKey(day, hour, groupBy) {
+    if (groupBy === 'hour') {
+        return `${day} ${String(hour).padStart(2, '0')}:00`;
+    }
+    if (groupBy === 'week') {
+        return addDays(day, -((getWeekday(day) + 6) % 7));
+    }
+    return day;
+}
+
+/**
+ * Share of a total, rounded for display.
+ * @param {number} part
+ * @param {number} total
+ * @returns {number|null} Null when there is nothing to divide by.
+ */
+function ratio(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Adds minutes to a keyed counter.
+ * @param {Map<string, number>} counter
+ * @param {string} key
+ * @param {number} minutes
+ */
+function addMinutes(counter, key, minutes) {
+    counter.set(key, (counter.get(key) || 0) + minutes);
+}
+
+/**
+ * Minutes the library is open in each period and heatmap cell.
+ * @param {Object} supabase - Supabase client.
+ * @param {string} from - First day, "YYYY-MM-DD".
+ * @param {string} to - Last day, "YYYY-MM-DD".
+ * @param {string} groupBy
+ * @returns {Promise<{periods: Map<string, number>, cells: Map<string, number>}>}
+ */
+async function getOpenMinutes(supabase, from, to, groupBy) {
+    const [hoursResult, closuresResult] = await Promise.all([
+        supabase.from('opening_hours').select('weekday, open_time, close_time, is_closed'),
+        supabase.from('library_closures').select('date').gte('date', from).lte('date', to),
+    ]);
+
+    if (hoursResult.error) throw hoursResult.error;
+    if (closuresResult.error) throw closuresResult.error;
+
+    const weekdayHours = new Map(hoursResult.data.map(hours => [hours.weekday, hours]));
+    const closedDays = new Set(closuresResult.data.map(closure => closure.date));
+    const periods = new Map();
+    const cells = new Map();
+
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+        const hours = weekdayHours.get(getWeekday(day));
+
+        if (closedDays.has(day) || (hours && hours.is_closed)) {
+            continue;
+        }
+
+        const open = atTime(day, hours ? hours.open_time : DEFAULT_HOURS.open);
+        const close = atTime(day, hours ? hours.close_time : DEFAULT_HOURS.close);
+
+        hourSlices(open, close).forEach(slice => {
+            addMinutes(periods, periodKey(slice.day, slice.hour, groupBy), slice.minutes);
+            addMinutes(cells, `${getWeekday(slice.day)}:${slice.hour}`, slice.minutes);
+        });
+    }
+
+    return { periods, cells };
+}
+
+/**
+ * Builds the usage report for a date range.
+ * @param {Object} supabase - Supabase client.
+ * @param {Object} options
+ * @param {string} options.from - First day, "YYYY-MM-DD".
+ * @param {string} options.to - Last day, "YYYY-MM-DD".
+ * @param {string} options.groupBy - "hour", "day" or "week".
+ * @returns {Promise<Object>}
+ */
+async function buildUsageReport(supabase, { from, to, groupBy }) {
+    const rangeStart = zonedTimeToUtc(from);
+    const rangeEnd = zonedTimeToUtc(addDays(to, 1));
+
+    const [open, roomsResult, bookings, requests] = await Promise.all([
+        getOpenMinutes(supabase, from, to, groupBy),
+        supabase.from('rooms').select('id, name').eq('is_active', true).order('id'),
+        fetchAllRows(() => supabase
+            .from('bookings')
+            .select('id, room_id, start_time, end_time')
+            .lt('start_time', rangeEnd.toISOString())
+            .gt('end_time', rangeStart.toISOString())
+            .order('id')),
+        fetchAllRows(() => supabase
+            .from('booking_requests')
+            .select('id, student_id, status, start_time, created_at, reviewed_at')
+            .gte('start_time', rangeStart.toISOString())
+            .lt('start_time', rangeEnd.toISOString())
+            .order('id')),
+    ]);
+
+    if (roomsResult.error) {
+        throw roomsResult.error;
+    }
+
+    const rooms = roomsResult.data;
+
+    // Booked minutes per room and period, and per heatmap cell
+    const bookedByPeriod = new Map();
+    const bookedByRoom = new Map();
+    const bookedByCell = new Map();
+
+    bookings.forEach(booking => {
+        const start = new Date(Math.max(new Date(booking.start_time), rangeStart));
+        const end = new Date(Math.min(new Date(booking.end_time), rangeEnd));
+
+        hourSlices(start, end).forEach(slice => {
+            addMinutes(bookedByPeriod, `${booking.room_id}|${periodKey(slice.day, slice.hour, groupBy)}`, slice.minutes);
+            addMinutes(bookedByRoom, String(booking.room_id), slice.minutes);
+            addMinutes(bookedByCell, `${getWeekday(slice.day)}:${slice.hour}`, slice.minutes);
+        });
+    });
+
+    const totalOpenMinutes = [...open.periods.values()].reduce((sum, minutes) => sum + minutes, 0);
+
+    const occupancy = [];
+    open.periods.forEach((openMinutes, period) => {
+        rooms.forEach(room => {
+            const booked = bookedByPeriod.get(`${room.id}|${period}`) || 0;
+            occupancy.push({
+                period,
+                room_id: room.id,
+                room_name: room.name,
+                booked_minutes: booked,
+                open_minutes: openMinutes,
+                occupancy: ratio(booked, openMinutes),
+            });
+        });
+    });
+
+    const roomTotals = rooms.map(room => {
+        const booked = bookedByRoom.get(String(room.id)) || 0;
+        return {
+            room_id: room.id,
+            room_name: room.name,
+            booked_minutes: booked,
+            open_minutes: totalOpenMinutes,
+            occupancy: ratio(booked, totalOpenMinutes),
+        };
+    });
+
+    // Weekday by hour, across all rooms
+    const heatmap = [...open.cells.entries()]
+        .map(([cell, openMinutes]) => {
+            const [weekday, hour] = cell.split(':').map(Number);
+            const booked = bookedByCell.get(cell) || 0;
+            return {
+                weekday,
+                hour,
+                booked_minutes: booked,
+                open_minutes: openMinutes * rooms.length,
+                occupancy: ratio(booked, openMinutes * rooms.length),
+            };
+        })
+        .sort((a, b) => a.weekday - b.weekday || a.hour - b.hour);
+
+    const peakHours = heatmap
+        .filter(cell => cell.booked_minutes > 0)
+        .sort((a, b) => b.occupancy - a.occupancy)
+        .slice(0, 5);
+
+    // Request outcomes; reviewed_at is only set by an approval or rejection
+    const byStatus = {};
+    requests.forEach(request => {
+        byStatus[request.status] = (byStatus[request.status] || 0) + 1;
+    });
+
+    const reviewed = requests.filter(request => request.reviewed_at);
+    const rejected = reviewed.filter(request => request.status === 'rejected');
+    const leadTimes = requests.map(request => new Date(request.start_time) - new Date(request.created_at));
+
+    // Bookings whose grace period could have passed: approved ones already
+    // started, plus those released as no-shows
+    const now = new Date();
+    const noShows = byStatus.no_show || 0;
+    const started = requests.filter(request => request.status === 'approved' && new Date(request.start_time) < now).length + noShows;
+
+    const requestsPerStudent = new Map();
+    requests.forEach(request => {
+        requestsPerStudent.set(request.student_id, (requestsPerStudent.get(request.student_id) || 0) + 1);
+    });
+    const counts = [...requestsPerStudent.values()];
+
+    return {
+        from,
+        to,
+        group_by: groupBy,
+        occupancy,
+        rooms: roomTotals,
+        heatmap,
+        peak_hours: peakHours,
+        requests: {
+            total: requests.length,
+            by_status: byStatus,
+            approval_rate: ratio(reviewed.length - rejected.length, reviewed.length),
+            rejection_rate: ratio(rejected.length, reviewed.length),
+            average_lead_time_hours: leadTimes.length > 0
+                ? Math.round(leadTimes.reduce((sum, lead) => sum + lead, 0) / leadTimes.length / 360000) / 10
+                : null,
+        },
+        no_shows: {
+            total: noShows,
+            rate: ratio(noShows, started),
+        },
+        students: {
+            unique: requestsPerStudent.size,
+            distribution: STUDENT_BUCKETS.map(bucket => ({
+                requests: bucket.label,
+                students: counts.filter(count => count >= bucket.min && count <= bucket.max).length,
+            })),
+        },
+    };
+}
+
+/**
+ * Formats rows as CSV with a header line.
+ * @param {Array<Object>} rows
+ * @param {Array<string>} columns
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(escape).join(','))
+        .join('\r\n');
+}
+
+module.exports = {
+    buildUsageReport,
+    toCsv,
+};
@@ -0,0 +1,220 @@
+const { ERROR_CODES } = require('../../../validation');
+const { ADVANCE_BOOKING_DAYS, SERIES_BOOKING_DAYS, zonedTimeToUtc, isWithinBookingHorizon } = require('./dates');
+const { checkStudentQuota } = require('./quotas');
+const { atTime, getDayHours, getRoomBlackouts } = require('./hours');
+const { findActiveOffer } = require('./waitlist');
+
+// Postgres exclusion_violation, raised by booking_requests_no_pending_overlap
+const EXCLUSION_VIOLATION = '23P01';
+
+/**
+ * Runs the checks that apply to a single occurrence and inserts it as a
+ * pending request.
+ * @param {Object} supabase - Supabase client.
+ * @param {Object} occurrence
+ * @param {string} occurrence.studentId
+ * @param {number} occurrence.roomId
+ * @param {string} occurrence.date - Format "YYYY-MM-DD".
+ * @param {string} occurrence.startTime - Format "HH:MM", library time.
+ * @param {number} occurrence.duration - Minutes.
+ * @param {number} occurrence.partySize
+ * @param {string|null} [occurrence.seriesId] - Shared by all occurrences of a recurring booking.
+ * @param {string[]} [occurrence.memberIds] - Group members besides the organizer, invited to confirm.
+ * @returns {Promise<{request_id: number}|{statusCode: number, code: string, field: string|null, message: string}>}
+ */
+async function requestOccurrence(supabase, { studentId, roomId, date, startTime, duration, partySize, seriesId = null, memberIds = [] }) {
+    // Start time is library wall-clock time on the requested day; the end
+    // is a fixed number of elapsed minutes later, even across DST changes
+    const startDateTime = zonedTimeToUtc(date, startTime);
+    const endDateTime = new Date(startDateTime.getTime() + duration * 60000);
+
+    // Occurrences of a series may run further ahead than single bookings
+    const horizonDays = seriesId ? SERIES_BOOKING_DAYS : ADVANCE_BOOKING_DAYS;
+    if (!isWithinBookingHorizon(date, horizonDays)) {
+        return {
+            statusCode: 400,
+            code: ERROR_CODES.OUTSIDE_BOOKING_WINDOW,
+            field: 'date',
+            message: `Bookings can only be made up to ${horizonDays} days in advance`,
+        };
+    }
+
+    // Check the library is open for the whole booking
+    const dayHours = await getDayHours(supabase, date);
+
+    if (dayHours.is_closed) {
+        return {
+            statusCode: 400,
+            code: ERROR_CODES.LIBRARY_CLOSED,
+            field: 'date',
+            message: dayHours.reason
+                ? `The library is closed on this day: ${dayHours.reason}`
+                : 'The library is closed on this day',
+        };
+    }
+
+    if (startDateTime < atTime(date, dayHours.open) || endDateTime > atTime(date, dayHours.close)) {
+        return {
+            statusCode: 400,
+            code: ERROR_CODES.OUTSIDE_HOURS,
+            field: 'start_time',
+            message: `Bookings must be within opening hours (${dayHours.open} - ${dayHours.close})`,
+        };
+    }
+
+    // Check the room isn't blocked for maintenance
+    const blackouts = await getRoomBlackouts(supabase, startDateTime, endDateTime, roomId);
+
+    if (blackouts.length > 0) {
+        return {
+            statusCode: 409,
+            code: ERROR_CODES.ROOM_UNAVAILABLE,
+            field: 'room_id',
+            message: `This room is unavailable at the selected time: ${blackouts[0].reason}`,
+        };
+    }
+
+    // Enforce per-student fair-use quotas
+    const quotaViolation = await checkStudentQuota(supabase, {
+        studentId,
+        roomId,
+        startDateTime,
+        endDateTime,
+        seriesId,
+    });
+
+    if (quotaViolation) {
+        return {
+            statusCode: 403,
+            code: ERROR_CODES.QUOTA_EXCEEDED,
+            field: null,
+            message: quotaViolation,
+        };
+    }
+
+    // The booking counts toward each member's quota too; the details of
+    // another student's bookings stay private
+    for (const memberId of memberIds) {
+        const memberViolation = await checkStudentQuota(supabase, {
+            studentId: memberId,
+            roomId,
+            startDateTime,
+            endDateTime,
+            seriesId,
+        });
+
+        if (memberViolation) {
+            return {
+                statusCode: 403,
+                code: ERROR_CODES.MEMBER_QUOTA_EXCEEDED,
+                field: 'members',
+                message: `Group member ${memberId} has reached their booking limits for this time`,
+            };
+        }
+    }
+
+    // Check for conflicts with existing approved bookings
+    const { data: conflicts, error: conflictError } = await supabase
+        .from('bookings')
+        .select('id')
+        .eq('room_id', roomId)
+        .lt('start_time', endDateTime.toISOString())
+        .gt('end_time', startDateTime.toISOString());
+
+    if (conflictError) {
+        throw conflictError;
+    }
+
+    if (conflicts && conflicts.length > 0) {
+        return {
+            statusCode: 409,
+            code: ERROR_CODES.ROOM_CONFLICT,
+            field: 'room_id',
+            message: 'This room is already booked for the selected time',
+        };
+    }
+
+    // Check the slot isn't being held for a waitlisted student
+    const heldBy = await findActiveOffer(supabase, roomId, startDateTime, endDateTime);
+
+    if (heldBy && heldBy.student_id !== studentId) {
+        return {
+            statusCode: 409,
+            code: ERROR_CODES.SLOT_HELD,
+            field: 'room_id',
+            message: 'This slot is being held for a student on the waitlist',
+        };
+    }
+
+    // Check for pending requests for the same time slot (first come, first served)
+    const { data: pendingConflicts, error: pendingError } = await supabase
+        .from('booking_requests')
+        .select('id, student_id')
+        .eq('room_id', roomId)
+        .eq('status', 'pending')
+        .lt('start_time', endDateTime.toISOString())
+        .gt('end_time', startDateTime.toISOString());
+
+    if (pendingError) {
+        throw pendingError;
+    }
+
+    if (pendingConflicts && pendingConflicts.length > 0) {
+        const isDuplicate = pendingConflicts.some(request => request.student_id === studentId);
+        return {
+            statusCode: 409,
+            code: isDuplicate ? ERROR_CODES.DUPLICATE_REQUEST : ERROR_CODES.PENDING_CONFLICT,
+            field: isDuplicate ? null : 'room_id',
+            message: isDuplicate
+                ? 'You already have a pending request for this time'
+                : 'Another request for this room and time is already awaiting approval',
+        };
+    }
+
+    // Insert booking request
+    const { data: newRequest, error: insertError } = await supabase
+        .from('booking_requests')
+        .insert({
+            student_id: studentId,
+            room_id: roomId,
+            start_time: startDateTime.toISOString(),
+            end_time: endDateTime.toISOString(),
+            party_size: partySize,
+            series_id: seriesId,
+            status: 'pending',
+        })
+        .select()
+        .single();
+
+    if (insertError) {
+        // A concurrent submission won the slot between the check above and this insert
+        if (insertError.code === EXCLUSION_VIOLATION) {
+            return {
+                statusCode: 409,
+                code: ERROR_CODES.PENDING_CONFLICT,
+                field: 'room_id',
+                message: 'Another request for this room and time is already awaiting approval',
+            };
+        }
+        throw insertError;
+    }
+
+    if (memberIds.length > 0) {
+        const { error: membersError } = await supabase
+            .from('booking_request_members')
+            .insert(memberIds.map(memberId => ({
+                request_id: newRequest.id,
+                student_id: memberId,
+            })));
+
+        if (membersError) {
+            throw membersError;
+        }
+    }
+
+    return { request_id: newRequest.id };
+}
+
+module.exports = {
+    requestOccurrence,
+};
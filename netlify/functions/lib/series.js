@@ -0,0 +1,52 @@
+// Scopes accepted by the approve, reject and cancel endpoints
+const SCOPES = ['single', 'series'];
+
+/**
+ * Resolves the requests an action applies to. With scope "series", returns
+ * every occurrence in the request's recurring series that is still in one of
+ * the given statuses; otherwise, or when the request isn't recurring, just
+ * the request itself.
+ * @param {Object} supabase - Supabase client.
+ * @param {number} requestId
+ * @param {'single'|'series'} scope
+ * @param {string[]} statuses - Statuses the action applies to.
+ * @returns {Promise<number[]>} Request IDs in start-time order.
+ */
+async function resolveScope(supabase, requestId, scope, statuses) {
+    if (scope !== 'series') {
+        return [requestId];
+    }
+
+    const { data: request, error: requestError } = await supabase
+        .from('booking_requests')
+        .select('series_id')
+        .eq('id', requestId)
+        .maybeSingle();
+
+    if (requestError) {
+        throw requestError;
+    }
+
+    if (!request || !request.series_id) {
+        return [requestId];
+    }
+
+    const { data: occurrences, error: occurrencesError } = await supabase
+        .from('booking_requests')
+        .select('id')
+        .eq('series_id', request.series_id)
+        .in('status', statuses)
+        .gt('end_time', new Date().toISOString())
+        .order('start_time');
+
+    if (occurrencesError) {
+        throw occurrencesError;
+    }
+
+    return occurrences.map(occurrence => occurrence.id);
+}
+
+module.exports = {
+    SCOPES,
+    resolveScope,
+};
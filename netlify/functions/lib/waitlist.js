@@ -0,0 +1,215 @@
+const { getStudentAccessGroups, canAccessRoom } = require('./access');
+const { notifyStudent } = require('./notifications');
+
+// How long a waitlisted student has to accept an offered slot
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES || '15');
+
+/**
+ * Finds an unexpired waitlist offer holding part of a room's time range.
+ * @param {Object} supabase - Supabase client.
+ * @param {number} roomId
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {Promise<Object|null>} The offered entry, or null when the range isn't held.
+ */
+async function findActiveOffer(supabase, roomId, startTime, endTime) {
+    const { data, error } = await supabase
+        .from('waitlist_entries')
+        .select('id, student_id, start_time, end_time, offer_expires_at')
+        .eq('status', 'offered')
+        .eq('offered_room_id', roomId)
+        .gt('offer_expires_at', new Date().toISOString())
+        .lt('start_time', endTime.toISOString())
+        .gt('end_time', startTime.toISOString())
+        .limit(1);
+
+    if (error) {
+        throw error;
+    }
+
+    return data[0] || null;
+}
+
+/**
+ * Checks whether a room's time range is clear of bookings, pending requests
+ * and other waitlist offers.
+ * @param {Object} supabase - Supabase client.
+ * @param {number} roomId
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {Promise<boolean>}
+ */
+async function isSlotFree(supabase, roomId, startTime, endTime) {
+    const [bookings, pending] = await Promise.all(['bookings', 'booking_requests'].map(table => {
+        let query = supabase
+            .from(table)
+            .select('id')
+            .eq('room_id', roomId)
+            .lt('start_time', endTime.toISOString())
+            .gt('end_time', startTime.toISOString())
+            .limit(1);
+
+        if (table === 'booking_requests') {
+            query = query.eq('status', 'pending');
+        }
+        return query;
+    }));
+
+    if (bookings.error || pending.error) {
+        throw bookings.error || pending.error;
+    }
+
+    if (bookings.data.length > 0 || pending.data.length > 0) {
+        return false;
+    }
+
+    return !(await findActiveOffer(supabase, roomId, startTime, endTime));
+}
+
+/**
+ * Offers a freed room slot to waitlisted students, oldest entry first. Each
+ * offer holds its range, so later entries overlapping it are skipped.
+ * Entries whose start time has passed are never offered a slot.
+ * Failures are logged and never thrown, so a broken waitlist can't fail the
+ * cancellation or rejection that freed the slot.
+ * @param {Object} supabase - Supabase client.
+ * @param {Object} freed - Row with room_id, start_time and end_time.
+ * @returns {Promise<Object[]>} The entries that received an offer.
+ */
+async function promoteWaitlist(supabase, freed) {
+    try {
+        const { data: room, error: roomError } = await supabase
+            .from('rooms')
+            .select('id, is_active, access_group, capacity')
+            .eq('id', freed.room_id)
+            .maybeSingle();
+
+        if (roomError) {
+            throw roomError;
+        }
+
+        if (!room || !room.is_active) {
+            return [];
+        }
+
+        // Entries for this room or any room whose range overlaps the freed one.
+        // Only entries that haven't started yet qualify, so after a no-show
+        // release the slot goes to later entries, not those waiting for the
+        // released booking itself: an accepted offer still needs approval and
+        // a check-in, which a started slot leaves no time for, and
+        // expireWaitlist ends such entries once their start passes anyway.
+        const { data: candidates, error: candidatesError } = await supabase
+            .from('waitlist_entries')
+            .select('id, student_id, room_id, start_time, end_time, party_size')
+            .eq('status', 'waiting')
+            .or(`room_id.eq.${room.id},room_id.is.null`)
+            .lt('start_time', freed.end_time)
+            .gt('end_time', freed.start_time)
+            .gt('start_time', new Date().toISOString())
+            .order('created_at');
+
+        if (candidatesError) {
+            throw candidatesError;
+        }
+
+        const offered = [];
+
+        for (const entry of candidates) {
+            // "Any room" entries only match rooms the group fits and may use
+            if (entry.room_id === null) {
+                if (entry.party_size > room.capacity) {
+                    continue;
+                }
+
+                const groups = await getStudentAccessGroups(supabase, entry.student_id);
+                if (!canAccessRoom(room, groups)) {
+                    continue;
+                }
+            }
+
+            const startTime = new Date(entry.start_time);
+            const endTime = new Date(entry.end_time);
+
+            if (!(await isSlotFree(supabase, room.id, startTime, endTime))) {
+                continue;
+            }
+
+            // The offer never outlives the start of the slot itself
+            const now = new Date();
+            const expiresAt = new Date(Math.min(
+                now.getTime() + WAITLIST_OFFER_MINUTES * 60000,
+                startTime.getTime()
+            ));
+
+            // The status filter stops two promotions offering the same entry
+            const { data: claimed, error: claimError } = await supabase
+                .from('waitlist_entries')
+                .update({
+                    status: 'offered',
+                    offered_room_id: room.id,
+                    offered_at: now.toISOString(),
+                    offer_expires_at: expiresAt.toISOString(),
+                })
+                .eq('id', entry.id)
+                .eq('status', 'waiting')
+                .select('id, student_id, offered_room_id, start_time, end_time, offer_expires_at')
+                .maybeSingle();
+
+            if (claimError) {
+                throw claimError;
+            }
+
+            if (claimed) {
+                await notifyStudent(supabase, 'waitlist_offer', { ...claimed, room_id: claimed.offered_room_id });
+                offered.push(claimed);
+            }
+        }
+
+        return offered;
+
+    } catch (error) {
+        console.error('Failed to promote waitlist:', error);
+        return [];
+    }
+}
+
+/**
+ * Expires offers nobody accepted in time and waiting entries whose slot has
+ * already started.
+ * @param {Object} supabase - Supabase client.
+ * @returns {Promise<Object[]>} The expired offers, whose slots are free again.
+ */
+async function expireWaitlist(supabase) {
+    const now = new Date().toISOString();
+
+    const { data: expiredOffers, error: offersError } = await supabase
+        .from('waitlist_entries')
+        .update({ status: 'expired' })
+        .eq('status', 'offered')
+        .lte('offer_expires_at', now)
+        .select('id, offered_room_id, start_time, end_time');
+
+    if (offersError) {
+        throw offersError;
+    }
+
+    const { error: waitingError } = await supabase
+        .from('waitlist_entries')
+        .update({ status: 'expired' })
+        .eq('status', 'waiting')
+        .lte('start_time', now);
+
+    if (waitingError) {
+        throw waitingError;
+    }
+
+    return expiredOffers;
+}
+
+module.exports = {
+    WAITLIST_OFFER_MINUTES,
+    findActiveOffer,
+    isSlotFree,
+    promoteWaitlist,
+    expireWaitlist,
+};
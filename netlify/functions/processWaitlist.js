@@ -0,0 +1,26 @@
+const { createClient } = require('@supabase/supabase-js');
+const { promoteWaitlist, expireWaitlist } = require('./lib/waitlist');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Scheduled function (see netlify.toml): expires waitlist offers nobody
+// accepted in time and passes their slots to the next student in line.
+exports.handler = async (event, context) => {
+    try {
+        const expired = await expireWaitlist(supabase);
+
+        for (const entry of expired) {
+            await promoteWaitlist(supabase, { ...entry, room_id: entry.offered_room_id });
+        }
+
+        return { statusCode: 200 };
+
+    } catch (error) {
+        console.error('Error in processWaitlist:', error);
+        return { statusCode: 500 };
+    }
+};
@@ -0,0 +1,136 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyAdmin } = require('./lib/auth');
+const { notifyStudent } = require('./lib/notifications');
+const { notifyMembers } = require('./lib/groups');
+const { SCOPES, resolveScope } = require('./lib/series');
+const { promoteWaitlist } = require('./lib/waitlist');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    const librarian = verifyAdmin(event);
+    if (!librarian) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Unauthorized' }),
+        };
+    }
+
+    try {
+        const { request_id, reason, scope = 'single' } = JSON.parse(event.body);
+
+        if (!request_id || !reason || !reason.trim()) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'Missing required fields: request_id, reason',
+                }),
+            };
+        }
+
+        if (!SCOPES.includes(scope)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `Invalid scope. Must be one of: ${SCOPES.join(', ')}`,
+                }),
+            };
+        }
+
+        const requestIds = await resolveScope(supabase, request_id, scope, ['pending']);
+
+        // Only pending requests can be rejected; the status filter makes this a no-op otherwise
+        const { data: rejected, error: updateError } = await supabase
+            .from('booking_requests')
+            .update({
+                status: 'rejected',
+                rejection_reason: reason.trim(),
+                reviewed_by: parseInt(librarian.sub),
+                reviewed_at: new Date().toISOString(),
+            })
+            .in('id', requestIds)
+            .eq('status', 'pending')
+            .select('id, student_id, room_id, start_time, end_time, rejection_reason')
+            .order('start_time');
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        if (!rejected || rejected.length === 0) {
+            return {
+                statusCode: 409,
+                headers,
+                body: JSON.stringify({
+                    message: 'Booking request not found or no longer pending',
+                }),
+            };
+        }
+
+        const notice = { ...rejected[0], occurrence_count: rejected.length };
+        await notifyStudent(supabase, 'rejected', notice);
+        await notifyMembers(supabase, 'rejected', notice, rejected[0].id);
+
+        // A rejected request no longer holds its slot
+        for (const request of rejected) {
+            await promoteWaitlist(supabase, request);
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                message: rejected.length > 1
+                    ? `Rejected ${rejected.length} sessions`
+                    : 'Booking request rejected',
+                rejected_ids: rejected.map(request => request.id),
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in rejectBookingRequest:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to reject booking request',
+                error: error.message,
+            }),
+        };
+    }
+};
@@ -0,0 +1,43 @@
+const { createClient } = require('@supabase/supabase-js');
+const { CHECK_IN_GRACE_MINUTES } = require('./lib/noShows');
+const { notifyStudent } = require('./lib/notifications');
+const { notifyMembers } = require('./lib/groups');
+const { promoteWaitlist } = require('./lib/waitlist');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Scheduled function (see netlify.toml): releases bookings nobody checked in
+// to within the grace period, records a no-show for the student and tells
+// them and their confirmed group members.
+exports.handler = async (event, context) => {
+    try {
+        const { data: released, error: releaseError } = await supabase
+            .rpc('release_no_show_bookings', {
+                p_grace_minutes: CHECK_IN_GRACE_MINUTES,
+            });
+
+        if (releaseError) {
+            throw releaseError;
+        }
+
+        for (const request of released) {
+            await Promise.all([
+                notifyStudent(supabase, 'released', request),
+                notifyMembers(supabase, 'released', request, request.id, { confirmedOnly: true }),
+            ]);
+
+            // The rest of the released slot can go to the waitlist
+            await promoteWaitlist(supabase, request);
+        }
+
+        return { statusCode: 200 };
+
+    } catch (error) {
+        console.error('Error in releaseNoShows:', error);
+        return { statusCode: 500 };
+    }
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { ERROR_CODES, validationError, isValidStudentId } = require('../../validation');
+const { hashLoginSecret } = require('./lib/auth');
+const { sendMail } = require('./lib/mailer');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Links go to <student_id>@STUDENT_EMAIL_DOMAIN, proving the student owns the ID
+const STUDENT_EMAIL_DOMAIN = process.env.STUDENT_EMAIL_DOMAIN;
+
+// Where the link points; Netlify sets URL to the site's main address
+const APP_URL = process.env.APP_URL || process.env.URL || '';
+
+// How long a login link stays valid
+const LOGIN_LINK_TTL_MINUTES = parseInt(process.env.LOGIN_LINK_TTL_MINUTES || '15');
+
+// Links a student can request per hour, so the endpoint can't spam inboxes
+const LOGIN_LINK_MAX_PER_HOUR = parseInt(process.env.LOGIN_LINK_MAX_PER_HOUR || '5');
+
+// Development only: return the link in the response instead of emailing it.
+// Anyone could then sign in as any student, so it only works under
+// `netlify dev`, and a deployed function refuses to load with it set.
+const IS_LOCAL_DEV = process.env.NETLIFY_DEV === 'true' || process.env.CONTEXT === 'dev';
+const AUTH_MOCK_LOGIN = process.env.AUTH_MOCK_LOGIN === 'true';
+
+if (AUTH_MOCK_LOGIN && !IS_LOCAL_DEV) {
+    throw new Error('AUTH_MOCK_LOGIN is only allowed under netlify dev');
+}
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    try {
+        const { student_id } = JSON.parse(event.body);
+
+        // Validate student ID format (6-7 digits)
+        if (!student_id || !isValidStudentId(student_id)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(validationError(ERROR_CODES.INVALID_STUDENT_ID, 'student_id',
+                    'Invalid student ID format. Must be 6-7 digits.')),
+            };
+        }
+
+        if (!STUDENT_EMAIL_DOMAIN && !AUTH_MOCK_LOGIN) {
+            throw new Error('STUDENT_EMAIL_DOMAIN is not configured');
+        }
+
+        const hourAgo = new Date(Date.now() - 3600000).toISOString();
+        const { count: recentLinks, error: countError } = await supabase
+            .from('student_login_links')
+            .select('id', { count: 'exact', head: true })
+            .eq('student_id', student_id)
+            .gt('created_at', hourAgo);
+
+        if (countError) {
+            throw countError;
+        }
+
+        if (recentLinks >= LOGIN_LINK_MAX_PER_HOUR) {
+            return {
+                statusCode: 429,
+                headers,
+                body: JSON.stringify({
+                    message: 'Too many sign-in links requested. Please check your inbox or try again later.',
+                }),
+            };
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        const { error: insertError } = await supabase
+            .from('student_login_links')
+            .insert([{
+                student_id,
+                secret_hash: hashLoginSecret(secret),
+                expires_at: new Date(Date.now() + LOGIN_LINK_TTL_MINUTES * 60000).toISOString(),
+            }]);
+
+        if (insertError) {
+            throw insertError;
+        }
+
+        const loginUrl = `${APP_URL}/?login=${secret}`;
+
+        if (AUTH_MOCK_LOGIN) {
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    message: 'Mock sign-in: follow the link to continue',
+                    login_url: loginUrl,
+                }),
+            };
+        }
+
+        await sendMail({
+            to: `${student_id}@${STUDENT_EMAIL_DOMAIN}`,
+            subject: 'Your library booking sign-in link',
+            text: `Follow this link to sign in to library room booking:\n\n${loginUrl}\n\n` +
+                `The link works once and expires in ${LOGIN_LINK_TTL_MINUTES} minutes. ` +
+                'If you did not ask to sign in, you can ignore this email.',
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                message: `We emailed a sign-in link to ${student_id}@${STUDENT_EMAIL_DOMAIN}`,
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in requestLoginLink:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to send sign-in link',
+                error: error.message,
+            }),
+        };
+    }
+};
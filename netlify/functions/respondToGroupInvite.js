@@ -0,0 +1,237 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyStudent } = require('./lib/auth');
+const { notifyStudent } = require('./lib/notifications');
+const { MIN_PARTY_SIZE, getGroupMembers, notifyMembers } = require('./lib/groups');
+const { SCOPES, resolveScope } = require('./lib/series');
+const { promoteWaitlist } = require('./lib/waitlist');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ACTIONS = ['confirm', 'decline'];
+
+/**
+ * Records a member's answer for one request. A decline that leaves the group
+ * below the minimum size cancels the request.
+ * @param {number} requestId
+ * @param {string} studentId - The responding member.
+ * @param {'confirm'|'decline'} action
+ * @returns {Promise<{request: Object, cancelled: boolean}|null>} Null when the
+ *     student has no open invitation for the request.
+ */
+async function respondOne(requestId, studentId, action) {
+    // Conditional on the current status so a repeated answer is a no-op
+    const { data: updated, error: updateError } = await supabase
+        .from('booking_request_members')
+        .update({
+            status: action === 'confirm' ? 'confirmed' : 'declined',
+            responded_at: new Date().toISOString(),
+        })
+        .eq('request_id', requestId)
+        .eq('student_id', studentId)
+        .in('status', action === 'confirm' ? ['invited'] : ['invited', 'confirmed'])
+        .select();
+
+    if (updateError) {
+        throw updateError;
+    }
+
+    if (updated.length === 0) {
+        return null;
+    }
+
+    const { data: request, error: requestError } = await supabase
+        .from('booking_requests')
+        .select('id, student_id, room_id, start_time, end_time, status')
+        .eq('id', requestId)
+        .single();
+
+    if (requestError) {
+        throw requestError;
+    }
+
+    if (action === 'confirm') {
+        return { request, cancelled: false };
+    }
+
+    const members = (await getGroupMembers(supabase, [requestId])).get(requestId) || [];
+    const partySize = members.filter(member => member.status !== 'declined').length + 1;
+
+    if (partySize >= MIN_PARTY_SIZE) {
+        const { error: sizeError } = await supabase
+            .from('booking_requests')
+            .update({ party_size: partySize })
+            .eq('id', requestId);
+
+        if (sizeError) {
+            throw sizeError;
+        }
+
+        return { request, cancelled: false };
+    }
+
+    // Too few people left for a group booking
+    const { data: cancelled, error: cancelError } = await supabase
+        .rpc('cancel_booking_request', {
+            p_request_id: requestId,
+            p_student_id: request.student_id,
+        });
+
+    if (cancelError) {
+        // Already cancelled, rejected or finished; nothing left to release
+        if (cancelError.code === 'BK002') {
+            return { request, cancelled: false };
+        }
+        throw cancelError;
+    }
+
+    return { request: cancelled, cancelled: true };
+}
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    // The student is whoever signed in, never an ID sent in the request
+    const student = verifyStudent(event);
+    if (!student) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Please sign in to continue' }),
+        };
+    }
+
+    try {
+        const { request_id, action, scope = 'single' } = JSON.parse(event.body);
+        const student_id = student.sub;
+
+        if (!request_id || !action) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'Missing required fields: request_id, action',
+                }),
+            };
+        }
+
+        if (!ACTIONS.includes(action)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `Invalid action. Must be one of: ${ACTIONS.join(', ')}`,
+                }),
+            };
+        }
+
+        if (!SCOPES.includes(scope)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `Invalid scope. Must be one of: ${SCOPES.join(', ')}`,
+                }),
+            };
+        }
+
+        // For a series, every remaining occurrence; membership is checked per occurrence
+        const requestIds = await resolveScope(supabase, request_id, scope, ['pending', 'approved']);
+        const results = [];
+
+        for (const requestId of requestIds) {
+            const result = await respondOne(requestId, student_id, action);
+            if (result) {
+                results.push(result);
+            }
+        }
+
+        if (results.length === 0) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({
+                    message: 'No open invitation for this booking',
+                }),
+            };
+        }
+
+        if (action === 'decline') {
+            const cancelled = results.filter(result => result.cancelled).map(result => result.request);
+            const reduced = results.filter(result => !result.cancelled).map(result => result.request);
+
+            if (reduced.length > 0) {
+                await notifyStudent(supabase, 'group_declined', {
+                    ...reduced[0],
+                    member_id: student_id,
+                    occurrence_count: reduced.length,
+                });
+            }
+
+            if (cancelled.length > 0) {
+                const notice = { ...cancelled[0], occurrence_count: cancelled.length };
+                await notifyStudent(supabase, 'cancelled', notice);
+                await notifyMembers(supabase, 'cancelled', notice, cancelled[0].id);
+
+                // Offer the freed slots to waitlisted students
+                for (const request of cancelled) {
+                    await promoteWaitlist(supabase, request);
+                }
+            }
+        }
+
+        const sessions = results.length > 1 ? ` for ${results.length} sessions` : '';
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                message: action === 'confirm'
+                    ? `You're in the group${sessions}`
+                    : `You've left the group${sessions}`,
+                request_ids: results.map(result => result.request.id),
+                cancelled_ids: results.filter(result => result.cancelled).map(result => result.request.id),
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in respondToGroupInvite:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to respond to invitation',
+                error: error.message,
+            }),
+        };
+    }
+};
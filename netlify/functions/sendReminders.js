@@ -0,0 +1,46 @@
+const { createClient } = require('@supabase/supabase-js');
+const { notifyStudent } = require('./lib/notifications');
+const { notifyMembers } = require('./lib/groups');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// How long before the start time reminders go out
+const REMINDER_LEAD_MINUTES = parseInt(process.env.REMINDER_LEAD_MINUTES || '15');
+
+// Scheduled function (see netlify.toml): reminds students, and the confirmed
+// members of their group, shortly before their booking starts.
+exports.handler = async (event, context) => {
+    try {
+        const now = new Date();
+        const horizon = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60000);
+
+        // Claiming rows in the update itself keeps overlapping runs from
+        // sending the same reminder twice
+        const { data: bookings, error: claimError } = await supabase
+            .from('bookings')
+            .update({ reminder_sent_at: now.toISOString() })
+            .is('reminder_sent_at', null)
+            .gt('start_time', now.toISOString())
+            .lte('start_time', horizon.toISOString())
+            .select('student_id, request_id, room_id, start_time, end_time');
+
+        if (claimError) {
+            throw claimError;
+        }
+
+        await Promise.all(bookings.map(booking => Promise.all([
+            notifyStudent(supabase, 'reminder', booking),
+            booking.request_id && notifyMembers(supabase, 'reminder', booking, booking.request_id, { confirmedOnly: true }),
+        ])));
+
+        return { statusCode: 200 };
+
+    } catch (error) {
+        console.error('Error in sendReminders:', error);
+        return { statusCode: 500 };
+    }
+};
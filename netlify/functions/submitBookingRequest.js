@@ -1,4 +1,26 @@
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
+const { ERROR_CODES, validationError, validateBookingRequest } = require('../../validation');
+const { verifyStudent } = require('./lib/auth');
+const {
+    ADVANCE_BOOKING_DAYS,
+    zonedTimeToUtc,
+    formatDateString,
+    todayString,
+    isWithinBookingHorizon,
+} = require('./lib/dates');
+const { getStudentAccessGroups, canAccessRoom } = require('./lib/access');
+const { getNoShowBlock } = require('./lib/noShows');
+const { expandRecurrence } = require('./lib/recurrence');
+const { requestOccurrence } = require('./lib/requests');
+const { corsHeaders } = require('./lib/cors');
+const { getRateLimitStore, getClientIp, checkRateLimit } = require('./lib/rateLimit');
+const { issueChallenge, verifyChallenge } = require('./lib/challenge');
+const { MIN_PARTY_SIZE, MAX_PARTY_SIZE, notifyMembers } = require('./lib/groups');
+
+// Submissions allowed per rate-limit window
+const RATE_LIMIT_PER_IP = parseInt(process.env.RATE_LIMIT_PER_IP || '30');
+const RATE_LIMIT_PER_STUDENT = parseInt(process.env.RATE_LIMIT_PER_STUDENT || '10');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -9,9 +31,10 @@ const supabase = createClient(
 exports.handler = async (event, context) => {
     // Set CORS headers
     const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Expose-Headers': 'Retry-After, X-API-Version',
         'Content-Type': 'application/json',
     };
 
@@ -33,47 +56,97 @@ exports.handler = async (event, context) => {
         };
     }
 
+    // The student is whoever signed in, never an ID sent in the request
+    const student = verifyStudent(event);
+    if (!student) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Please sign in to continue' }),
+        };
+    }
+
     try {
         // Parse request body
-        const { student_id, room_id, start_time, duration } = JSON.parse(event.body);
+        const { room_id, date, start_time, duration, members, recurrence, challenge } = JSON.parse(event.body);
+        const student_id = student.sub;
+
+        // Throttle submissions per IP and per student
+        const rateLimitStore = getRateLimitStore(supabase);
+        const rateLimit = await checkRateLimit(rateLimitStore, [
+            { key: `submit:ip:${getClientIp(event)}`, limit: RATE_LIMIT_PER_IP },
+            { key: `submit:student:${student_id}`, limit: RATE_LIMIT_PER_STUDENT },
+        ]);
 
-        // Validate inputs
-        if (!student_id || !room_id || !start_time || !duration) {
+        if (rateLimit.limited) {
             return {
-                statusCode: 400,
-                headers,
+                statusCode: 429,
+                headers: { ...headers, 'Retry-After': String(rateLimit.retryAfter) },
                 body: JSON.stringify({
-                    message: 'Missing required fields: student_id, room_id, start_time, duration',
+                    message: `Too many booking requests. Please try again in ${Math.ceil(rateLimit.retryAfter / 60)} minutes.`,
                 }),
             };
         }
 
-        // Validate student ID format (6-7 digits)
-        if (!/^[0-9]{6,7}$/.test(student_id)) {
+        // Heavy callers must solve a proof-of-work challenge before going on
+        if (rateLimit.suspicious && !(await verifyChallenge(rateLimitStore, challenge, student_id))) {
             return {
-                statusCode: 400,
+                statusCode: 428,
                 headers,
                 body: JSON.stringify({
-                    message: 'Invalid student ID format. Must be 6-7 digits.',
+                    message: 'Please complete the verification challenge',
+                    challenge: issueChallenge(student_id),
                 }),
             };
         }
 
-        // Validate duration (max 2 hours = 120 minutes)
-        if (duration < 30 || duration > 120) {
+        // Validate inputs with the same checks the app runs before sending
+        // (the booking date defaults to today)
+        const bookingDate = date || todayString();
+        const invalid = validateBookingRequest({ room_id, date: bookingDate, start_time, duration, members }, {
+            organizerId: student_id,
+            toInstant: zonedTimeToUtc,
+            minPartySize: MIN_PARTY_SIZE,
+            maxPartySize: MAX_PARTY_SIZE,
+        });
+
+        if (invalid) {
             return {
                 statusCode: 400,
                 headers,
-                body: JSON.stringify({
-                    message: 'Duration must be between 30 and 120 minutes.',
-                }),
+                body: JSON.stringify(invalid),
+            };
+        }
+
+        // Everyone in the group besides the organizer is named and invited
+        const memberIds = members.map(member => String(member).trim());
+        const partySize = memberIds.length + 1;
+
+        // Block students with repeated no-shows
+        const blockedUntil = await getNoShowBlock(supabase, student_id);
+
+        if (blockedUntil) {
+            return {
+                statusCode: 403,
+                headers,
+                body: JSON.stringify(validationError(ERROR_CODES.NO_SHOW_BLOCKED, null,
+                    `Booking is suspended until ${formatDateString(blockedUntil)} after repeated no-shows`)),
+            };
+        }
+
+        if (!isWithinBookingHorizon(bookingDate)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify(validationError(ERROR_CODES.OUTSIDE_BOOKING_WINDOW, 'date',
+                    `Bookings can only be made up to ${ADVANCE_BOOKING_DAYS} days in advance`)),
             };
         }
 
         // Verify room exists and is active
         const { data: room, error: roomError } = await supabase
             .from('rooms')
-            .select('id, is_active')
+            .select('id, is_active, access_group, capacity')
             .eq('id', room_id)
             .single();
 
@@ -81,9 +154,7 @@ exports.handler = async (event, context) => {
             return {
                 statusCode: 400,
                 headers,
-                body: JSON.stringify({
-                    message: 'Invalid room ID',
-                }),
+                body: JSON.stringify(validationError(ERROR_CODES.ROOM_NOT_FOUND, 'room_id', 'Invalid room ID')),
             };
         }
 
@@ -91,87 +162,115 @@ exports.handler = async (event, context) => {
             return {
                 statusCode: 400,
                 headers,
-                body: JSON.stringify({
-                    message: 'This room is currently inactive',
-                }),
+                body: JSON.stringify(validationError(ERROR_CODES.ROOM_INACTIVE, 'room_id',
+                    'This room is currently inactive')),
             };
         }
 
-        // Calculate start and end times (today only)
-        const today = new Date();
-        const [hours, minutes] = start_time.split(':');
-        const startDateTime = new Date(today.getFullYear(), today.getMonth(), today.getDate(), parseInt(hours), parseInt(minutes));
-        const endDateTime = new Date(startDateTime.getTime() + duration * 60000);
-
-        // Check if start time is in the past
-        if (startDateTime <= new Date()) {
+        // Verify the group fits the room
+        if (partySize > room.capacity) {
             return {
                 statusCode: 400,
                 headers,
-                body: JSON.stringify({
-                    message: 'Start time must be in the future',
-                }),
+                body: JSON.stringify(validationError(ERROR_CODES.ROOM_TOO_SMALL, 'room_id',
+                    `This room is for groups of ${MIN_PARTY_SIZE} to ${room.capacity} people`)),
             };
         }
 
-        // Check for conflicts with existing approved bookings
-        const { data: conflicts, error: conflictError } = await supabase
-            .from('bookings')
-            .select('id')
-            .eq('room_id', room_id)
-            .lt('start_time', endDateTime.toISOString())
-            .gt('end_time', startDateTime.toISOString());
-
-        if (conflictError) {
-            throw conflictError;
-        }
+        // Verify the student may use restricted rooms
+        const accessGroups = await getStudentAccessGroups(supabase, student_id);
 
-        if (conflicts && conflicts.length > 0) {
+        if (!canAccessRoom(room, accessGroups)) {
             return {
-                statusCode: 409,
+                statusCode: 403,
                 headers,
-                body: JSON.stringify({
-                    message: 'This room is already booked for the selected time',
-                }),
+                body: JSON.stringify(validationError(ERROR_CODES.ROOM_RESTRICTED, 'room_id',
+                    `This room is reserved for ${room.access_group} access`)),
             };
         }
 
-        // Check for pending requests for the same time slot
-        const { data: pendingConflicts, error: pendingError } = await supabase
-            .from('booking_requests')
-            .select('id')
-            .eq('room_id', room_id)
-            .eq('status', 'pending')
-            .lt('start_time', endDateTime.toISOString())
-            .gt('end_time', startDateTime.toISOString());
-
-        if (pendingError) {
-            throw pendingError;
+        // Parse the optional recurrence rule into occurrence dates
+        let occurrenceDates = [bookingDate];
+
+        if (recurrence) {
+            const expanded = expandRecurrence(bookingDate, recurrence);
+
+            if (expanded.error) {
+                return {
+                    statusCode: 400,
+                    headers,
+                    body: JSON.stringify(validationError(ERROR_CODES.INVALID_RECURRENCE, 'recurrence', expanded.error)),
+                };
+            }
+            occurrenceDates = expanded.dates;
         }
 
-        // Insert booking request
-        const { data: newRequest, error: insertError } = await supabase
-            .from('booking_requests')
-            .insert({
-                student_id,
+        const seriesId = recurrence ? crypto.randomUUID() : null;
+        const occurrences = [];
+
+        // Occurrences are requested one at a time so each one's quota check
+        // sees the occurrences already queued before it
+        for (const occurrenceDate of occurrenceDates) {
+            const result = await requestOccurrence(supabase, {
+                studentId: student_id,
+                roomId: room_id,
+                date: occurrenceDate,
+                startTime: start_time,
+                duration,
+                partySize,
+                seriesId,
+                memberIds,
+            });
+            occurrences.push({ date: occurrenceDate, ...result });
+        }
+
+        const requested = occurrences.filter(occurrence => occurrence.request_id);
+
+        // Invite the members; one invitation covers every session requested
+        if (requested.length > 0) {
+            const firstStart = zonedTimeToUtc(requested[0].date, start_time);
+
+            await notifyMembers(supabase, 'group_invite', {
                 room_id,
-                start_time: startDateTime.toISOString(),
-                end_time: endDateTime.toISOString(),
-                status: 'pending',
-            })
-            .select()
-            .single();
+                start_time: firstStart.toISOString(),
+                end_time: new Date(firstStart.getTime() + duration * 60000).toISOString(),
+                organizer_id: student_id,
+                occurrence_count: requested.length,
+            }, requested[0].request_id);
+        }
+
+        if (!recurrence) {
+            const [result] = occurrences;
+
+            if (!result.request_id) {
+                return {
+                    statusCode: result.statusCode,
+                    headers,
+                    body: JSON.stringify(validationError(result.code, result.field, result.message)),
+                };
+            }
 
-        if (insertError) {
-            throw insertError;
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    message: 'Booking request submitted successfully',
+                    request_id: result.request_id,
+                }),
+            };
         }
 
         return {
-            statusCode: 200,
+            statusCode: requested.length > 0 ? 200 : 409,
             headers,
             body: JSON.stringify({
-                message: 'Booking request submitted successfully',
-                request_id: newRequest.id,
+                message: requested.length === occurrences.length
+                    ? 'Recurring booking request submitted successfully'
+                    : `${requested.length} of ${occurrences.length} sessions requested; the rest could not be booked`,
+                series_id: requested.length > 0 ? seriesId : null,
+                occurrences: occurrences.map(occurrence => (occurrence.request_id
+                    ? { date: occurrence.date, status: 'requested', request_id: occurrence.request_id }
+                    : { date: occurrence.date, status: 'conflict', code: occurrence.code, message: occurrence.message })),
             }),
         };
 
@@ -0,0 +1,240 @@
+const { createClient } = require('@supabase/supabase-js');
+const { verifyStudent } = require('./lib/auth');
+const { formatDateString, formatTimeString } = require('./lib/dates');
+const { requestOccurrence } = require('./lib/requests');
+const { promoteWaitlist } = require('./lib/waitlist');
+const { notifyMembers } = require('./lib/groups');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// accept/decline answer an offer; leave drops a waiting or offered entry
+const ACTIONS = ['accept', 'decline', 'leave'];
+
+/**
+ * Turns an accepted offer into a pending booking request for the offered
+ * room and invites the group named when joining the waitlist.
+ * @param {Object} entry - Offered waitlist entry.
+ * @returns {Promise<{request_id: number}|{statusCode: number, message: string}>}
+ */
+async function acceptOffer(entry) {
+    const startDateTime = new Date(entry.start_time);
+    const endDateTime = new Date(entry.end_time);
+
+    // The offer's hold on the slot lets this student through the conflict checks
+    const result = await requestOccurrence(supabase, {
+        studentId: entry.student_id,
+        roomId: entry.offered_room_id,
+        date: formatDateString(startDateTime),
+        startTime: formatTimeString(startDateTime),
+        duration: (endDateTime - startDateTime) / 60000,
+        partySize: entry.party_size,
+        memberIds: entry.member_ids,
+    });
+
+    if (!result.request_id) {
+        return result;
+    }
+
+    const { error: updateError } = await supabase
+        .from('waitlist_entries')
+        .update({ status: 'accepted', request_id: result.request_id })
+        .eq('id', entry.id);
+
+    if (updateError) {
+        throw updateError;
+    }
+
+    await notifyMembers(supabase, 'group_invite', {
+        room_id: entry.offered_room_id,
+        start_time: entry.start_time,
+        end_time: entry.end_time,
+        organizer_id: entry.student_id,
+    }, result.request_id);
+
+    return result;
+}
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    // The student is whoever signed in, never an ID sent in the request
+    const student = verifyStudent(event);
+    if (!student) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ message: 'Please sign in to continue' }),
+        };
+    }
+
+    try {
+        const { waitlist_id, action } = JSON.parse(event.body);
+        const student_id = student.sub;
+
+        if (!waitlist_id || !action) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'Missing required fields: waitlist_id, action',
+                }),
+            };
+        }
+
+        if (!ACTIONS.includes(action)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: `Invalid action. Must be one of: ${ACTIONS.join(', ')}`,
+                }),
+            };
+        }
+
+        // Matching on student_id as well keeps other students' entries private
+        const { data: entry, error: entryError } = await supabase
+            .from('waitlist_entries')
+            .select('id, student_id, offered_room_id, start_time, end_time, party_size, member_ids, status, offer_expires_at')
+            .eq('id', waitlist_id)
+            .eq('student_id', student_id)
+            .maybeSingle();
+
+        if (entryError) {
+            throw entryError;
+        }
+
+        if (!entry) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({
+                    message: 'Waitlist entry not found',
+                }),
+            };
+        }
+
+        const hasOffer = entry.status === 'offered' && new Date(entry.offer_expires_at) > new Date();
+
+        if (action === 'accept') {
+            if (!hasOffer) {
+                return {
+                    statusCode: 409,
+                    headers,
+                    body: JSON.stringify({
+                        message: 'There is no open offer for this waitlist entry',
+                    }),
+                };
+            }
+
+            const result = await acceptOffer(entry);
+
+            if (!result.request_id) {
+                return {
+                    statusCode: result.statusCode,
+                    headers,
+                    body: JSON.stringify({
+                        message: result.message,
+                    }),
+                };
+            }
+
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    message: 'Offer accepted. Your booking request is awaiting approval.',
+                    request_id: result.request_id,
+                }),
+            };
+        }
+
+        if (action === 'decline' ? !hasOffer : !['waiting', 'offered'].includes(entry.status)) {
+            return {
+                statusCode: 409,
+                headers,
+                body: JSON.stringify({
+                    message: action === 'decline'
+                        ? 'There is no open offer for this waitlist entry'
+                        : 'You are no longer on this waitlist',
+                }),
+            };
+        }
+
+        // The status filter makes this a no-op if the entry changed meanwhile
+        const { data: updated, error: updateError } = await supabase
+            .from('waitlist_entries')
+            .update({ status: action === 'decline' ? 'declined' : 'cancelled' })
+            .eq('id', entry.id)
+            .eq('status', entry.status)
+            .select('id')
+            .maybeSingle();
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        if (!updated) {
+            return {
+                statusCode: 409,
+                headers,
+                body: JSON.stringify({
+                    message: 'This waitlist entry has changed; refresh and try again',
+                }),
+            };
+        }
+
+        // A released offer passes to the next student in line
+        if (entry.status === 'offered') {
+            await promoteWaitlist(supabase, { ...entry, room_id: entry.offered_room_id });
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                message: action === 'decline' ? 'Offer declined' : 'Removed from the waitlist',
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in updateWaitlistEntry:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to update waitlist entry',
+                error: error.message,
+            }),
+        };
+    }
+};
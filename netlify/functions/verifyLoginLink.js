@@ -0,0 +1,96 @@
+const { createClient } = require('@supabase/supabase-js');
+const { hashLoginSecret, signStudentToken } = require('./lib/auth');
+const { corsHeaders } = require('./lib/cors');
+
+// Initialize Supabase client
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json',
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ message: 'Method not allowed' }),
+        };
+    }
+
+    try {
+        const { secret } = JSON.parse(event.body);
+
+        if (!secret) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    message: 'Missing required field: secret',
+                }),
+            };
+        }
+
+        // Marking the link used in the same statement makes it single-use
+        const { data: link, error: linkError } = await supabase
+            .from('student_login_links')
+            .update({ used_at: new Date().toISOString() })
+            .eq('secret_hash', hashLoginSecret(secret))
+            .is('used_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .select('student_id')
+            .maybeSingle();
+
+        if (linkError) {
+            throw linkError;
+        }
+
+        if (!link) {
+            return {
+                statusCode: 401,
+                headers,
+                body: JSON.stringify({
+                    message: 'This sign-in link is invalid, expired or already used',
+                }),
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                token: signStudentToken(link.student_id),
+                student_id: link.student_id,
+            }),
+        };
+
+    } catch (error) {
+        console.error('Error in verifyLoginLink:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                message: 'Failed to sign in',
+                error: error.message,
+            }),
+        };
+    }
+};
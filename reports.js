@@ -0,0 +1,400 @@
+/**
+ * @fileoverview Usage reports for librarians: room occupancy, peak hours,
+ * request outcomes and student reach, with CSV and JSON export.
+ */
+
+/** @namespace CONFIG */
+const CONFIG = {
+    /** @type {string} Base path for Netlify Functions */
+    API_BASE_URL: '/.netlify/functions',
+    /** @type {number} Timeout for network requests in milliseconds */
+    REQUEST_TIMEOUT: 30000,
+    /** @type {string} sessionStorage key for the signed-in librarian */
+    SESSION_KEY: 'librarianSession',
+    /** @type {number} Days shown when the page opens */
+    DEFAULT_RANGE_DAYS: 28,
+};
+
+/** Weekday names, indexed as returned by the report (0 = Sunday) */
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// DOM Elements
+const signInSection = document.getElementById('librarian-sign-in-section');
+const signInForm = document.getElementById('librarian-sign-in-form');
+const reportSection = document.getElementById('report-section');
+const reportForm = document.getElementById('report-form');
+const reportResults = document.getElementById('report-results');
+const reportLoadBtn = document.getElementById('report-load-btn');
+const toast = document.getElementById('toast');
+
+/**
+ * Wires up the page and restores a signed-in session.
+ */
+function initReports() {
+    const today = new Date();
+    const from = new Date(today);
+    from.setDate(from.getDate() - (CONFIG.DEFAULT_RANGE_DAYS - 1));
+    document.getElementById('report-to').value = formatDateInput(today);
+    document.getElementById('report-from').value = formatDateInput(from);
+
+    signInForm.addEventListener('submit', signIn);
+    document.getElementById('librarian-sign-out-btn').addEventListener('click', () => signOut());
+    reportForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadReport();
+    });
+    reportSection.addEventListener('click', (e) => {
+        const exportBtn = e.target.closest('[data-export]');
+        if (exportBtn) {
+            exportReport(exportBtn.dataset.export);
+        }
+    });
+
+    renderSession();
+    if (getSession()) {
+        loadReport();
+    }
+}
+
+/**
+ * Formats a date for a date input, using the browser's calendar day.
+ * @param {Date} date
+ * @returns {string} "YYYY-MM-DD".
+ */
+function formatDateInput(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0'),
+    ].join('-');
+}
+
+/**
+ * Reads the librarian session from sessionStorage.
+ * @returns {{token: string, email: string}|null}
+ */
+function getSession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(CONFIG.SESSION_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Shows the report controls when signed in and the sign-in form otherwise.
+ */
+function renderSession() {
+    const session = getSession();
+    signInSection.classList.toggle('hidden', Boolean(session));
+    reportSection.classList.toggle('hidden', !session);
+    reportResults.classList.toggle('hidden', !session || reportResults.dataset.loaded !== 'true');
+    document.getElementById('librarian-email-label').textContent = session ? session.email : '';
+}
+
+/**
+ * Signs the librarian in with their email and password.
+ * @param {Event} e - Submit event.
+ */
+async function signIn(e) {
+    e.preventDefault();
+
+    const signInBtn = document.getElementById('librarian-sign-in-btn');
+    const formData = new FormData(signInForm);
+    signInBtn.disabled = true;
+
+    try {
+        const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/adminLogin`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                email: formData.get('email'),
+                password: formData.get('password'),
+            }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(data.message || 'Unable to sign in', 'error');
+            return;
+        }
+
+        sessionStorage.setItem(CONFIG.SESSION_KEY, JSON.stringify({ token: data.token, email: data.email }));
+        signInForm.reset();
+        renderSession();
+        loadReport();
+    } catch (error) {
+        console.error('Error signing in:', error);
+        showToast('Unable to sign in. Please try again.', 'error');
+    } finally {
+        signInBtn.disabled = false;
+    }
+}
+
+/**
+ * Clears the librarian session.
+ * @param {string} [message] - Shown instead of the default sign-out toast.
+ */
+function signOut(message) {
+    sessionStorage.removeItem(CONFIG.SESSION_KEY);
+    reportResults.dataset.loaded = 'false';
+    renderSession();
+    showToast(message || 'Signed out', message ? 'warning' : 'success');
+}
+
+/**
+ * Fetches the report for the filters in the form.
+ * @param {string} [format='json'] - "json" or "csv".
+ * @param {string} [table] - Section to export when format is "csv".
+ * @returns {Promise<Response|null>} Null when the session had expired.
+ */
+async function fetchReport(format = 'json', table) {
+    const params = new URLSearchParams(new FormData(reportForm));
+    params.set('format', format);
+    if (table) {
+        params.set('table', table);
+    }
+
+    const response = await fetchWithTimeout(`${CONFIG.API_BASE_URL}/getUsageReport?${params}`, {
+        headers: { Authorization: `Bearer ${getSession().token}` },
+    });
+
+    if (response.status === 401) {
+        signOut('Your session has expired. Please sign in again.');
+        return null;
+    }
+    return response;
+}
+
+/**
+ * Loads and renders the report.
+ */
+async function loadReport() {
+    reportLoadBtn.disabled = true;
+    reportLoadBtn.textContent = 'Loading...';
+
+    try {
+        const response = await fetchReport();
+        if (!response) {
+            return;
+        }
+
+        const report = await response.json();
+
+        if (!response.ok) {
+            showToast(report.message || 'Unable to load report', 'error');
+            return;
+        }
+
+        renderReport(report);
+        reportResults.dataset.loaded = 'true';
+        renderSession();
+    } catch (error) {
+        console.error('Error loading report:', error);
+        showToast('Unable to load report. Please try again.', 'error');
+    } finally {
+        reportLoadBtn.disabled = false;
+        reportLoadBtn.textContent = 'Show Report';
+    }
+}
+
+/**
+ * Downloads the report as a file.
+ * @param {string} format - "json" or "csv".
+ */
+async function exportReport(format) {
+    const table = document.getElementById('report-export-table').value;
+
+    try {
+        const response = await fetchReport(format, format === 'csv' ? table : undefined);
+        if (!response) {
+            return;
+        }
+
+        if (!response.ok) {
+            const data = await response.json();
+            showToast(data.message || 'Unable to export report', 'error');
+            return;
+        }
+
+        const { from, to } = Object.fromEntries(new FormData(reportForm));
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = format === 'csv'
+            ? `usage-${table}-${from}-to-${to}.csv`
+            : `usage-report-${from}-to-${to}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Error exporting report:', error);
+        showToast('Unable to export report. Please try again.', 'error');
+    }
+}
+
+/**
+ * Formats a ratio as a percentage.
+ * @param {number|null} value
+ * @returns {string}
+ */
+function formatPercent(value) {
+    return value === null ? '–' : `${Math.round(value * 1000) / 10}%`;
+}
+
+/**
+ * Renders a list of labelled horizontal bars.
+ * @param {HTMLElement} container
+ * @param {Array<{label: string, value: number, text: string}>} bars - Values from 0 to max.
+ * @param {number} [max=1]
+ */
+function renderBars(container, bars, max = 1) {
+    if (bars.length === 0) {
+        container.innerHTML = '<div class="loading-message">No data for this range</div>';
+        return;
+    }
+
+    container.innerHTML = bars.map(bar => `
+        <div class="report-bar">
+            <span class="report-bar-label">${escapeHtml(bar.label)}</span>
+            <div class="report-bar-track">
+                <div class="report-bar-fill" style="width: ${max > 0 ? Math.min(bar.value / max, 1) * 100 : 0}%"></div>
+            </div>
+            <span class="report-bar-value">${escapeHtml(bar.text)}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Renders every section of the report.
+ * @param {Object} report - Response from getUsageReport.
+ */
+function renderReport(report) {
+    const stats = [
+        { label: 'Requests', value: report.requests.total },
+        { label: 'Approval rate', value: formatPercent(report.requests.approval_rate) },
+        { label: 'Rejection rate', value: formatPercent(report.requests.rejection_rate) },
+        {
+            label: 'Average lead time',
+            value: report.requests.average_lead_time_hours === null ? '–' : `${report.requests.average_lead_time_hours} h`,
+        },
+        { label: 'No-show rate', value: formatPercent(report.no_shows.rate) },
+        { label: 'Unique students', value: report.students.unique },
+    ];
+
+    document.getElementById('report-summary').innerHTML = stats.map(stat => `
+        <div class="report-stat">
+            <span class="report-stat-value">${escapeHtml(String(stat.value))}</span>
+            <span class="report-stat-label">${escapeHtml(stat.label)}</span>
+        </div>
+    `).join('');
+
+    renderBars(document.getElementById('report-rooms'), report.rooms.map(room => ({
+        label: room.room_name,
+        value: room.occupancy || 0,
+        text: formatPercent(room.occupancy),
+    })));
+
+    // Occupancy across all rooms for each period
+    const periods = new Map();
+    report.occupancy.forEach(row => {
+        const period = periods.get(row.period) || { booked: 0, open: 0 };
+        period.booked += row.booked_minutes;
+        period.open += row.open_minutes;
+        periods.set(row.period, period);
+    });
+
+    renderBars(document.getElementById('report-periods'), [...periods.entries()].map(([period, totals]) => ({
+        label: report.group_by === 'week' ? `Week of ${period}` : period,
+        value: totals.open > 0 ? totals.booked / totals.open : 0,
+        text: formatPercent(totals.open > 0 ? totals.booked / totals.open : null),
+    })));
+
+    renderHeatmap(report.heatmap);
+
+    const distribution = report.students.distribution;
+    renderBars(document.getElementById('report-students'), distribution.map(bucket => ({
+        label: `${bucket.requests} requests`,
+        value: bucket.students,
+        text: String(bucket.students),
+    })), Math.max(...distribution.map(bucket => bucket.students)));
+}
+
+/**
+ * Renders occupancy by weekday and hour as a shaded grid.
+ * @param {Array<{weekday: number, hour: number, occupancy: number|null}>} cells
+ */
+function renderHeatmap(cells) {
+    const container = document.getElementById('report-heatmap');
+
+    if (cells.length === 0) {
+        container.innerHTML = '<div class="loading-message">No opening hours in this range</div>';
+        return;
+    }
+
+    const hours = [...new Set(cells.map(cell => cell.hour))].sort((a, b) => a - b);
+    const lookup = new Map(cells.map(cell => [`${cell.weekday}:${cell.hour}`, cell]));
+
+    const header = hours.map(hour => `<th scope="col">${String(hour).padStart(2, '0')}</th>`).join('');
+    const rows = WEEKDAYS.map((weekday, index) => {
+        const row = hours.map(hour => {
+            const cell = lookup.get(`${index}:${hour}`);
+            if (!cell) {
+                return '<td class="report-heatmap-closed"></td>';
+            }
+            const occupancy = cell.occupancy || 0;
+            return `<td style="background: rgba(26, 86, 219, ${occupancy})" title="${weekday} ${hour}:00 – ${formatPercent(cell.occupancy)}"></td>`;
+        }).join('');
+        return `<tr><th scope="row">${weekday}</th>${row}</tr>`;
+    }).join('');
+
+    container.innerHTML = `<table><thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Displays a toast notification.
+ * @param {string} message - Notification text.
+ * @param {string} [type='success'] - 'success', 'error', or 'warning'.
+ */
+function showToast(message, type = 'success') {
+    toast.textContent = message;
+    toast.className = `toast ${type}`;
+    void toast.offsetWidth; // Force reflow
+    toast.classList.remove('hidden');
+
+    setTimeout(() => {
+        toast.classList.add('hidden');
+    }, 4000);
+}
+
+/**
+ * Wrapper for fetch that adds a configurable timeout.
+ * @param {string} url - Request URL.
+ * @param {Object} [options={}] - Fetch options.
+ * @returns {Promise<Response>}
+ */
+function fetchWithTimeout(url, options = {}) {
+    return Promise.race([
+        fetch(url, options),
+        new Promise((_, reject) =>
+            setTimeout(() => reject(new Error('Request timeout')), CONFIG.REQUEST_TIMEOUT)
+        )
+    ]);
+}
+
+/**
+ * Escapes HTML characters to prevent XSS.
+ * @param {string} text - Untrusted input.
+ * @returns {string} Sanitized string.
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Global Initialization
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initReports);
+} else {
+    initReports();
+}
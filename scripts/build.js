@@ -0,0 +1,90 @@
+/**
+ * Builds the static site into dist/. Scripts and styles get content-hashed
+ * names under /assets/, so they can be cached forever, and the service worker
+ * is stamped with a version derived from everything it serves, so every
+ * deploy installs a new worker with its own cache.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUT_DIR = path.join(ROOT, 'dist');
+
+// Served from /assets/ under a content hash. supabase-js is the version
+// pinned in package.json, so the page never runs an unreviewed release.
+const HASHED_ASSETS = [
+    'app.js',
+    'reports.js',
+    'style.css',
+    'validation.js',
+    'node_modules/@supabase/supabase-js/dist/umd/supabase.js',
+];
+
+// Copied with references to hashed assets rewritten
+const PAGES = ['index.html', 'reports.html', 'sw.js'];
+
+// Copied as they are
+const STATIC_FILES = ['manifest.json', 'university-logo.png'];
+
+/**
+ * First characters of a SHA-256 hex digest.
+ * @param {Buffer|string} content
+ * @returns {string}
+ */
+function shortHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+}
+
+/**
+ * Points references like src="app.js" or '/app.js' at the hashed files.
+ * @param {string} text
+ * @param {Object<string, string>} hashedNames - Source name to hashed path.
+ * @returns {string}
+ */
+function rewriteReferences(text, hashedNames) {
+    return Object.entries(hashedNames).reduce((result, [name, hashed]) => {
+        const pattern = new RegExp(`(["'/])${name.replace(/\./g, '\\.')}(["'])`, 'g');
+        return result.replace(pattern, `$1${hashed}$2`);
+    }, text);
+}
+
+function build() {
+    fs.rmSync(OUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(path.join(OUT_DIR, 'assets'), { recursive: true });
+
+    const hashedNames = {};
+    for (const name of HASHED_ASSETS) {
+        const content = fs.readFileSync(path.join(ROOT, name));
+        const ext = path.extname(name);
+        hashedNames[name] = `assets/${path.basename(name, ext)}.${shortHash(content)}${ext}`;
+        fs.writeFileSync(path.join(OUT_DIR, hashedNames[name]), content);
+    }
+
+    // Any change to a page, asset or static file gives a new version
+    const version = shortHash([...HASHED_ASSETS, ...PAGES, ...STATIC_FILES]
+        .map(name => shortHash(fs.readFileSync(path.join(ROOT, name))))
+        .join(''));
+
+    for (const name of PAGES) {
+        let text = rewriteReferences(fs.readFileSync(path.join(ROOT, name), 'utf8'), hashedNames);
+
+        if (name === 'sw.js') {
+            const stamped = text.replace("const VERSION = 'dev';", `const VERSION = '${version}';`);
+            if (stamped === text) {
+                throw new Error('sw.js has no VERSION placeholder');
+            }
+            text = stamped;
+        }
+
+        fs.writeFileSync(path.join(OUT_DIR, name), text);
+    }
+
+    for (const name of STATIC_FILES) {
+        fs.copyFileSync(path.join(ROOT, name), path.join(OUT_DIR, name));
+    }
+
+    console.log(`Built version ${version} into ${path.relative(ROOT, OUT_DIR)}/`);
+}
+
+build();
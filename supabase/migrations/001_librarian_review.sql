@@ -0,0 +1,62 @@
+-- Librarian accounts and the approve/reject workflow for booking requests.
+
+create table if not exists librarians (
+    id bigint generated always as identity primary key,
+    email text not null unique,
+    -- scrypt$<salt>$<hash>, see hashPassword in netlify/functions/lib/auth.js
+    password_hash text not null,
+    is_active boolean not null default true,
+    created_at timestamptz not null default now()
+);
+
+alter table booking_requests
+    add column if not exists reviewed_by bigint references librarians (id),
+    add column if not exists reviewed_at timestamptz,
+    add column if not exists rejection_reason text;
+
+alter table bookings
+    add column if not exists request_id bigint references booking_requests (id);
+
+-- Approves a pending request: re-checks conflicts against bookings and
+-- inserts the booking in the same transaction. A per-room advisory lock
+-- serialises concurrent approvals for the same room.
+create or replace function approve_booking_request(p_request_id bigint, p_librarian_id bigint)
+returns bookings
+language plpgsql
+as $$
+declare
+    req booking_requests;
+    new_booking bookings;
+begin
+    select * into req from booking_requests where id = p_request_id for update;
+
+    if not found then
+        raise exception 'Booking request not found' using errcode = 'P0002';
+    end if;
+
+    if req.status <> 'pending' then
+        raise exception 'Booking request is already %', req.status using errcode = 'P0001';
+    end if;
+
+    perform pg_advisory_xact_lock(req.room_id);
+
+    if exists (
+        select 1 from bookings
+        where room_id = req.room_id
+          and start_time < req.end_time
+          and end_time > req.start_time
+    ) then
+        raise exception 'This room is already booked for the selected time' using errcode = 'P0003';
+    end if;
+
+    insert into bookings (room_id, student_id, start_time, end_time, request_id)
+    values (req.room_id, req.student_id, req.start_time, req.end_time, req.id)
+    returning * into new_booking;
+
+    update booking_requests
+    set status = 'approved', reviewed_by = p_librarian_id, reviewed_at = now()
+    where id = req.id;
+
+    return new_booking;
+end;
+$$;
@@ -0,0 +1,40 @@
+-- Lets students cancel their own requests and release the booked slot.
+
+alter table booking_requests
+    add column if not exists cancelled_at timestamptz;
+
+-- Cancels a pending or approved request owned by the given student. For
+-- approved requests the matching booking row is removed so the slot frees up.
+create or replace function cancel_booking_request(p_request_id bigint, p_student_id text)
+returns booking_requests
+language plpgsql
+as $$
+declare
+    req booking_requests;
+begin
+    select * into req from booking_requests
+    where id = p_request_id and student_id = p_student_id
+    for update;
+
+    if not found then
+        raise exception 'Booking request not found' using errcode = 'P0002';
+    end if;
+
+    if req.status not in ('pending', 'approved') then
+        raise exception 'Booking request is already %', req.status using errcode = 'P0001';
+    end if;
+
+    if req.end_time <= now() then
+        raise exception 'This booking has already ended' using errcode = 'P0001';
+    end if;
+
+    delete from bookings where request_id = req.id;
+
+    update booking_requests
+    set status = 'cancelled', cancelled_at = now()
+    where id = req.id
+    returning * into req;
+
+    return req;
+end;
+$$;
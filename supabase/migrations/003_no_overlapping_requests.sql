@@ -0,0 +1,16 @@
+-- Database-level guarantees that a room slot can't be double-booked, even
+-- when two submissions or approvals race each other.
+-- Existing overlapping rows must be resolved before this migration applies.
+
+create extension if not exists btree_gist;
+
+-- At most one pending request per room and time range
+alter table booking_requests
+    add constraint booking_requests_no_pending_overlap
+    exclude using gist (room_id with =, tstzrange(start_time, end_time) with &&)
+    where (status = 'pending');
+
+-- Approved bookings never overlap
+alter table bookings
+    add constraint bookings_no_overlap
+    exclude using gist (room_id with =, tstzrange(start_time, end_time) with &&);
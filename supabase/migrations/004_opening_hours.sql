@@ -0,0 +1,32 @@
+-- Opening hours per weekday, library-wide closures and per-room maintenance blackouts.
+
+create table if not exists opening_hours (
+    -- 0 = Sunday ... 6 = Saturday, matching Date#getDay()
+    weekday smallint primary key check (weekday between 0 and 6),
+    open_time time not null default '08:00',
+    close_time time not null default '19:00',
+    is_closed boolean not null default false,
+    check (close_time > open_time)
+);
+
+insert into opening_hours (weekday)
+select generate_series(0, 6)
+on conflict (weekday) do nothing;
+
+create table if not exists library_closures (
+    id bigint generated always as identity primary key,
+    date date not null unique,
+    reason text not null
+);
+
+create table if not exists room_blackouts (
+    id bigint generated always as identity primary key,
+    room_id bigint not null references rooms (id) on delete cascade,
+    start_time timestamptz not null,
+    end_time timestamptz not null,
+    reason text not null default 'Maintenance',
+    check (end_time > start_time)
+);
+
+create index if not exists room_blackouts_room_time_idx
+    on room_blackouts (room_id, start_time, end_time);
@@ -0,0 +1,10 @@
+-- Maps students to the access groups that unlock restricted rooms.
+-- rooms.access_group is null for rooms open to every student.
+
+create table if not exists student_access_groups (
+    student_id text not null,
+    -- e.g. 'postgraduate', 'faculty', 'accessibility'
+    access_group text not null,
+    created_at timestamptz not null default now(),
+    primary key (student_id, access_group)
+);
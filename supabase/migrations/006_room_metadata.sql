@@ -0,0 +1,12 @@
+-- Descriptive room details shown to students and used to validate party size.
+
+alter table rooms
+    add column if not exists capacity smallint not null default 6 check (capacity > 0),
+    add column if not exists floor smallint,
+    add column if not exists location text,
+    -- Free-form tags such as 'whiteboard', 'screen', 'power-outlets'
+    add column if not exists equipment text[] not null default '{}',
+    add column if not exists photo_url text;
+
+alter table booking_requests
+    add column if not exists party_size smallint;
@@ -0,0 +1,50 @@
+-- Check-in, automatic release of unclaimed bookings and no-show tracking.
+
+-- Secret printed into each room's QR code (/?checkin=<code>)
+alter table rooms
+    add column if not exists check_in_code text not null unique
+        default replace(gen_random_uuid()::text, '-', '');
+
+alter table bookings
+    add column if not exists checked_in_at timestamptz;
+
+create table if not exists no_shows (
+    id bigint generated always as identity primary key,
+    student_id text not null,
+    request_id bigint references booking_requests (id),
+    room_id bigint not null references rooms (id),
+    start_time timestamptz not null,
+    recorded_at timestamptz not null default now()
+);
+
+create index if not exists no_shows_student_idx on no_shows (student_id, recorded_at);
+
+-- Releases bookings nobody checked in to within the grace period: records a
+-- no-show, frees the slot and marks the request. Returns the released requests.
+create or replace function release_no_show_bookings(p_grace_minutes integer)
+returns setof booking_requests
+language plpgsql
+as $$
+declare
+    missed bookings;
+begin
+    for missed in
+        select * from bookings
+        where checked_in_at is null
+          and start_time + make_interval(mins => p_grace_minutes) < now()
+          and end_time > now()
+        for update skip locked
+    loop
+        insert into no_shows (student_id, request_id, room_id, start_time)
+        values (missed.student_id, missed.request_id, missed.room_id, missed.start_time);
+
+        delete from bookings where id = missed.id;
+
+        return query
+            update booking_requests
+            set status = 'no_show'
+            where id = missed.request_id
+            returning *;
+    end loop;
+end;
+$$;
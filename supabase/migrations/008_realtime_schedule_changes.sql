@@ -0,0 +1,32 @@
+-- Broadcasts a "schedule_changed" event on the public "schedule" Realtime
+-- channel whenever bookings or booking requests change. The payload only
+-- carries the table and room, never student details.
+
+create or replace function broadcast_schedule_change()
+returns trigger
+language plpgsql
+security definer
+as $$
+begin
+    perform realtime.send(
+        jsonb_build_object(
+            'table', TG_TABLE_NAME,
+            'room_id', case when TG_OP = 'DELETE' then old.room_id else new.room_id end
+        ),
+        'schedule_changed',
+        'schedule',
+        false
+    );
+    return null;
+end;
+$$;
+
+drop trigger if exists bookings_schedule_changed on bookings;
+create trigger bookings_schedule_changed
+    after insert or update or delete on bookings
+    for each row execute function broadcast_schedule_change();
+
+drop trigger if exists booking_requests_schedule_changed on booking_requests;
+create trigger booking_requests_schedule_changed
+    after insert or update or delete on booking_requests
+    for each row execute function broadcast_schedule_change();
@@ -0,0 +1,16 @@
+-- Web Push subscriptions and reminder bookkeeping for notifications.
+
+create table if not exists push_subscriptions (
+    id bigint generated always as identity primary key,
+    student_id text not null,
+    endpoint text not null unique,
+    p256dh text not null,
+    auth text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists push_subscriptions_student_idx on push_subscriptions (student_id);
+
+-- Set once the 15-minute reminder has gone out
+alter table bookings
+    add column if not exists reminder_sent_at timestamptz;
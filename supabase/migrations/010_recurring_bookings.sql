@@ -0,0 +1,8 @@
+-- Recurring bookings: every occurrence is its own request, linked by series_id.
+
+alter table booking_requests
+    add column if not exists series_id uuid;
+
+create index if not exists booking_requests_series_idx
+    on booking_requests (series_id)
+    where series_id is not null;
@@ -0,0 +1,31 @@
+-- Waitlist for booked-out slots. A freed slot is offered to the first
+-- matching entry, which holds it until the student accepts or the offer expires.
+
+create table if not exists waitlist_entries (
+    id bigint generated always as identity primary key,
+    student_id text not null,
+    -- null means any room that fits the group
+    room_id bigint references rooms (id),
+    start_time timestamptz not null,
+    end_time timestamptz not null,
+    party_size integer not null,
+    status text not null default 'waiting'
+        check (status in ('waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled')),
+    offered_room_id bigint references rooms (id),
+    offered_at timestamptz,
+    offer_expires_at timestamptz,
+    -- The booking request created when the offer was accepted
+    request_id bigint references booking_requests (id),
+    created_at timestamptz not null default now(),
+    check (end_time > start_time)
+);
+
+create index if not exists waitlist_entries_waiting_idx
+    on waitlist_entries (created_at)
+    where status = 'waiting';
+
+create index if not exists waitlist_entries_offered_idx
+    on waitlist_entries (offered_room_id, start_time)
+    where status = 'offered';
+
+create index if not exists waitlist_entries_student_idx on waitlist_entries (student_id);
@@ -0,0 +1,14 @@
+-- Magic-link sign-in for students. Only a hash of each link's secret is
+-- stored, and a link can be used once.
+
+create table if not exists student_login_links (
+    id bigint generated always as identity primary key,
+    student_id text not null,
+    secret_hash text not null unique,
+    expires_at timestamptz not null,
+    used_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists student_login_links_student_idx
+    on student_login_links (student_id, created_at);
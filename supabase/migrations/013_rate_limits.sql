@@ -0,0 +1,31 @@
+-- Fixed-window counters for rate limiting, shared by every function instance.
+
+create table if not exists rate_limit_counters (
+    key text not null,
+    window_start timestamptz not null,
+    hits integer not null default 0,
+    primary key (key, window_start)
+);
+
+-- Counts one hit against a key in the current window and returns the total
+-- so far and when the window resets.
+create or replace function hit_rate_limit(p_key text, p_window_seconds integer)
+returns table (hits integer, reset_at timestamptz)
+language plpgsql
+as $$
+declare
+    v_window_start timestamptz :=
+        to_timestamp(floor(extract(epoch from now()) / p_window_seconds) * p_window_seconds);
+begin
+    -- Expired windows are pruned now and then rather than on every hit
+    if random() < 0.01 then
+        delete from rate_limit_counters where window_start < now() - interval '1 day';
+    end if;
+
+    return query
+        insert into rate_limit_counters as counter (key, window_start, hits)
+        values (p_key, v_window_start, 1)
+        on conflict (key, window_start) do update set hits = counter.hits + 1
+        returning counter.hits, counter.window_start + make_interval(secs => p_window_seconds);
+end;
+$$;
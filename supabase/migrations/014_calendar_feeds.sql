@@ -0,0 +1,8 @@
+-- Secret calendar feed URLs, one per student. The token is the only
+-- credential a calendar app sends, so rotating it revokes old subscriptions.
+
+create table if not exists calendar_feeds (
+    student_id text primary key,
+    token text not null unique default replace(gen_random_uuid()::text, '-', ''),
+    created_at timestamptz not null default now()
+);
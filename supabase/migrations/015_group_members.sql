@@ -0,0 +1,16 @@
+-- Named members of group booking requests. The organizer stays in
+-- booking_requests.student_id; everyone else is invited here and confirms
+-- or declines.
+
+create table if not exists booking_request_members (
+    request_id bigint not null references booking_requests (id) on delete cascade,
+    student_id text not null,
+    status text not null default 'invited'
+        check (status in ('invited', 'confirmed', 'declined')),
+    responded_at timestamptz,
+    created_at timestamptz not null default now(),
+    primary key (request_id, student_id)
+);
+
+create index if not exists booking_request_members_student_idx
+    on booking_request_members (student_id, status);
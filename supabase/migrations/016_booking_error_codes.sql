@@ -0,0 +1,87 @@
+-- Booking RPCs raise their own SQLSTATEs, so the functions can tell an
+-- expected outcome from any other failure inside the RPC. P0001 is what every
+-- plain RAISE EXCEPTION uses, and P0002/P0003 are Postgres's own
+-- no_data_found/too_many_rows.
+--   BK001  booking request not found
+--   BK002  booking request can no longer be approved or cancelled
+--   BK003  room already booked for the selected time
+
+-- Approves a pending request: re-checks conflicts against bookings and
+-- inserts the booking in the same transaction. A per-room advisory lock
+-- serialises concurrent approvals for the same room.
+create or replace function approve_booking_request(p_request_id bigint, p_librarian_id bigint)
+returns bookings
+language plpgsql
+as $$
+declare
+    req booking_requests;
+    new_booking bookings;
+begin
+    select * into req from booking_requests where id = p_request_id for update;
+
+    if not found then
+        raise exception 'Booking request not found' using errcode = 'BK001';
+    end if;
+
+    if req.status <> 'pending' then
+        raise exception 'Booking request is already %', req.status using errcode = 'BK002';
+    end if;
+
+    perform pg_advisory_xact_lock(req.room_id);
+
+    if exists (
+        select 1 from bookings
+        where room_id = req.room_id
+          and start_time < req.end_time
+          and end_time > req.start_time
+    ) then
+        raise exception 'This room is already booked for the selected time' using errcode = 'BK003';
+    end if;
+
+    insert into bookings (room_id, student_id, start_time, end_time, request_id)
+    values (req.room_id, req.student_id, req.start_time, req.end_time, req.id)
+    returning * into new_booking;
+
+    update booking_requests
+    set status = 'approved', reviewed_by = p_librarian_id, reviewed_at = now()
+    where id = req.id;
+
+    return new_booking;
+end;
+$$;
+
+-- Cancels a pending or approved request owned by the given student. For
+-- approved requests the matching booking row is removed so the slot frees up.
+create or replace function cancel_booking_request(p_request_id bigint, p_student_id text)
+returns booking_requests
+language plpgsql
+as $$
+declare
+    req booking_requests;
+begin
+    select * into req from booking_requests
+    where id = p_request_id and student_id = p_student_id
+    for update;
+
+    if not found then
+        raise exception 'Booking request not found' using errcode = 'BK001';
+    end if;
+
+    if req.status not in ('pending', 'approved') then
+        raise exception 'Booking request is already %', req.status using errcode = 'BK002';
+    end if;
+
+    if req.end_time <= now() then
+        raise exception 'This booking has already ended' using errcode = 'BK002';
+    end if;
+
+    delete from bookings where request_id = req.id;
+
+    update booking_requests
+    set status = 'cancelled', cancelled_at = now()
+    where id = req.id
+    returning * into req;
+
+    return req;
+end;
+$$;
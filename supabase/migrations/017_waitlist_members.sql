@@ -0,0 +1,5 @@
+-- Group members named when joining a waitlist, besides the organizer in
+-- student_id. They are invited to the booking request an accepted offer creates.
+
+alter table waitlist_entries
+    add column if not exists member_ids text[] not null default '{}';
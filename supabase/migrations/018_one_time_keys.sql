@@ -0,0 +1,31 @@
+-- Keys that may be used only once until they expire, such as the IDs of
+-- solved challenges. Unlike rate_limit_counters they don't reset with a window.
+
+create table if not exists one_time_keys (
+    key text primary key,
+    expires_at timestamptz not null
+);
+
+-- Records a key unless it is already held. Returns whether this call claimed it.
+create or replace function claim_one_time_key(p_key text, p_expires_at timestamptz)
+returns boolean
+language plpgsql
+as $$
+declare
+    v_claimed boolean;
+begin
+    -- Expired keys are pruned now and then rather than on every claim
+    if random() < 0.01 then
+        delete from one_time_keys where expires_at < now();
+    end if;
+
+    -- An expired key that hasn't been pruned yet can be claimed again
+    insert into one_time_keys as claimed (key, expires_at)
+    values (p_key, p_expires_at)
+    on conflict (key) do update set expires_at = excluded.expires_at
+        where claimed.expires_at < now()
+    returning true into v_claimed;
+
+    return coalesce(v_claimed, false);
+end;
+$$;
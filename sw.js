@@ -1,29 +1,47 @@
-const CACHE_NAME = 'library-booking-v1';
+// Replaced by scripts/build.js with a hash of the deployed files; asset
+// paths below are rewritten to their hashed names at the same time
+const VERSION = 'dev';
+const CACHE_NAME = `library-booking-${VERSION}`;
+const API_CACHE_NAME = `library-booking-api-${VERSION}`;
+const API_PATH = '/.netlify/functions/';
+
+// Read-only functions served stale-while-revalidate, so the schedule and
+// room list still show while offline
+const CACHED_API_FUNCTIONS = ['getRooms', 'getRoomSchedules'];
+
+// Booking submissions made offline wait here until Background Sync replays them
+const QUEUE_DB_NAME = 'library-booking-queue';
+const QUEUE_STORE = 'requests';
+const QUEUE_SYNC_TAG = 'booking-queue';
+
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
     '/style.css',
+    '/validation.js',
+    '/node_modules/@supabase/supabase-js/dist/umd/supabase.js',
     '/app.js',
     '/manifest.json',
     '/university-logo.png'
 ];
 
-// Install event - cache assets
+// Install event - cache assets. A new version then waits until the page asks
+// it to take over, so an open tab never mixes files from two deploys.
 self.addEventListener('install', (event) => {
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then(cache => cache.addAll(ASSETS_TO_CACHE))
-            .then(() => self.skipWaiting())
     );
 });
 
-// Activate event - clean up old caches
+// Activate event - clean up old caches, including API responses cached by
+// older versions
 self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys().then(cacheNames => {
             return Promise.all(
                 cacheNames
-                    .filter(name => name !== CACHE_NAME)
+                    .filter(name => name !== CACHE_NAME && name !== API_CACHE_NAME)
                     .map(name => caches.delete(name))
             );
         }).then(() => self.clients.claim())
@@ -32,8 +50,22 @@ self.addEventListener('activate', (event) => {
 
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', (event) => {
-    // Skip API calls from cache
-    if (event.request.url.includes('/.netlify/functions/')) {
+    const url = new URL(event.request.url);
+
+    if (url.pathname.startsWith(API_PATH)) {
+        const name = url.pathname.slice(API_PATH.length);
+
+        if (event.request.method === 'GET' && CACHED_API_FUNCTIONS.includes(name)) {
+            return event.respondWith(staleWhileRevalidate(event));
+        }
+
+        // Queue booking requests that can't reach the server
+        if (event.request.method === 'POST' && name === 'submitBookingRequest') {
+            const queued = event.request.clone();
+            return event.respondWith(fetch(event.request).catch(() => queueBookingRequest(queued)));
+        }
+
+        // Everything else always goes to the network
         return event.respondWith(fetch(event.request));
     }
 
@@ -60,3 +92,269 @@ self.addEventListener('fetch', (event) => {
             })
     );
 });
+
+// Sync event - replay booking requests queued while offline
+self.addEventListener('sync', (event) => {
+    if (event.tag === QUEUE_SYNC_TAG) {
+        event.waitUntil(replayBookingQueue());
+    }
+});
+
+// Message event - requests from the page
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    // The student chose to reload into the new version
+    if (message.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+
+    // Browsers without Background Sync ask for a replay when back online
+    if (message.type === 'replay-queue') {
+        event.waitUntil(replayBookingQueue().catch(() => {}));
+    }
+
+    // Signing out drops the student's cached schedule and rooms
+    if (message.type === 'clear-api-cache') {
+        event.waitUntil(caches.delete(API_CACHE_NAME).then(() => {
+            if (event.ports[0]) {
+                event.ports[0].postMessage({ type: 'api-cache-cleared' });
+            }
+        }));
+    }
+});
+
+/**
+ * Serves a cached API response right away, if there is one, and refreshes the
+ * cache from the network. Pages are told whether the network was reachable
+ * and whether the fresh data differs from what they were given.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(API_CACHE_NAME);
+    const cached = await cache.match(event.request);
+    const cachedBody = cached ? cached.clone().text() : Promise.resolve(null);
+
+    const revalidated = fetch(event.request)
+        .then(async response => {
+            if (response.ok) {
+                const body = await response.clone().text();
+                await cache.put(event.request, stampResponse(response, body));
+                notifyClients({
+                    type: 'api-online',
+                    url: event.request.url,
+                    changed: cached !== undefined && body !== await cachedBody,
+                });
+            }
+            return response;
+        })
+        .catch(error => {
+            notifyClients({
+                type: 'api-offline',
+                url: event.request.url,
+                cached_at: cached ? cached.headers.get('X-Cached-At') : null,
+            });
+            throw error;
+        });
+
+    if (cached) {
+        event.waitUntil(revalidated.catch(() => {}));
+        return cached;
+    }
+
+    return revalidated.catch(() => jsonResponse(503, { message: 'You are offline' }));
+}
+
+/**
+ * Copies a response for the cache, recording when it was fetched.
+ * @param {Response} response
+ * @param {string} body - The response body, already read.
+ * @returns {Response}
+ */
+function stampResponse(response, body) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+    });
+}
+
+/**
+ * Builds a JSON response like the functions send.
+ * @param {number} status
+ * @param {Object} body
+ * @returns {Response}
+ */
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+    });
+}
+
+/**
+ * Posts a message to every open page.
+ * @param {Object} message
+ * @returns {Promise<number>} How many pages were open.
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+    return clients.length;
+}
+
+/**
+ * Runs a request against the queue's object store.
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} operation
+ * @returns {Promise<*>} The request's result once the transaction completes.
+ */
+function withQueueStore(mode, operation) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(QUEUE_DB_NAME, 1);
+
+        open.onupgradeneeded = () => {
+            open.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const db = open.result;
+            const transaction = db.transaction(QUEUE_STORE, mode);
+            const request = operation(transaction.objectStore(QUEUE_STORE));
+
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        };
+    });
+}
+
+/**
+ * Stores a booking request that couldn't be sent and schedules a replay.
+ * @param {Request} request - Clone of the failed submitBookingRequest call.
+ * @returns {Promise<Response>} A 202 telling the page the request is queued.
+ */
+async function queueBookingRequest(request) {
+    const body = await request.text();
+
+    await withQueueStore('readwrite', store => store.add({
+        url: request.url,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': request.headers.get('Authorization') || '',
+        },
+        body,
+        queued_at: new Date().toISOString(),
+    }));
+
+    // Without Background Sync the page asks for a replay when it comes back online
+    if (self.registration.sync) {
+        await self.registration.sync.register(QUEUE_SYNC_TAG).catch(() => {});
+    }
+
+    return jsonResponse(202, {
+        queued: true,
+        message: "You're offline. Your request will be sent when you're back online.",
+    });
+}
+
+/**
+ * In-flight replay, so a sync event and a page message don't send the same
+ * request twice
+ * @type {Promise<void>|null}
+ */
+let replaying = null;
+
+/**
+ * Sends queued booking requests in order and reports each outcome. Stops at
+ * the first network failure, rejecting so Background Sync tries again later.
+ * @returns {Promise<void>}
+ */
+function replayBookingQueue() {
+    if (!replaying) {
+        replaying = (async () => {
+            const entries = await withQueueStore('readonly', store => store.getAll());
+
+            for (const entry of entries) {
+                const response = await fetch(entry.url, {
+                    method: 'POST',
+                    headers: entry.headers,
+                    body: entry.body,
+                });
+                const data = await response.json().catch(() => ({}));
+
+                await withQueueStore('readwrite', store => store.delete(entry.id));
+                await reportQueuedResult(entry, response, data);
+            }
+        })().finally(() => {
+            replaying = null;
+        });
+    }
+
+    return replaying;
+}
+
+/**
+ * Tells open pages how a queued request went, or shows a notification when
+ * none are open.
+ * @param {Object} entry - The queued request.
+ * @param {Response} response
+ * @param {Object} data - Parsed response body.
+ * @returns {Promise<void>}
+ */
+async function reportQueuedResult(entry, response, data) {
+    const message = response.ok
+        ? 'Your offline booking request was sent to librarians for approval'
+        : `Your offline booking request wasn't sent: ${data.message || 'Please try again'}`;
+
+    const openPages = await notifyClients({
+        type: 'booking-queue-result',
+        ok: response.ok,
+        status: response.status,
+        message,
+        data,
+    });
+
+    if (openPages === 0) {
+        await self.registration.showNotification('Library Room Booking', {
+            body: message,
+            icon: '/university-logo.png',
+            data: { url: '/' },
+        });
+    }
+}
+
+// Push event - show booking notifications sent by the functions
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'Library Room Booking', {
+            body: data.body || '',
+            icon: '/university-logo.png',
+            data: { url: data.url || '/' },
+        })
+    );
+});
+
+// Notification click - focus an open tab or open a new one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data && event.notification.data.url || '/';
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            const client = clients.find(c => new URL(c.url).pathname === url);
+            return client ? client.focus() : self.clients.openWindow(url);
+        })
+    );
+});
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Booking request validation shared by the student app and the
+ * Netlify Functions. Loaded with a script tag in the browser, where it is
+ * available as window.Validation, and with require() in the functions.
+ *
+ * Failed checks are reported as {code, field, message} objects. Codes are
+ * stable and safe to branch on; field is the request body field at fault, or
+ * null when the error isn't about a single field.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Validation = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Error codes returned by validation and by submitBookingRequest.
+     * @enum {string}
+     */
+    const ERROR_CODES = {
+        MISSING_FIELD: 'MISSING_FIELD',
+        INVALID_STUDENT_ID: 'INVALID_STUDENT_ID',
+        INVALID_MEMBERS: 'INVALID_MEMBERS',
+        ORGANIZER_LISTED: 'ORGANIZER_LISTED',
+        DUPLICATE_MEMBER: 'DUPLICATE_MEMBER',
+        INVALID_GROUP_SIZE: 'INVALID_GROUP_SIZE',
+        INVALID_DATE: 'INVALID_DATE',
+        INVALID_START_TIME: 'INVALID_START_TIME',
+        START_TIME_IN_PAST: 'START_TIME_IN_PAST',
+        INVALID_DURATION: 'INVALID_DURATION',
+        INVALID_RECURRENCE: 'INVALID_RECURRENCE',
+        OUTSIDE_BOOKING_WINDOW: 'OUTSIDE_BOOKING_WINDOW',
+        ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+        ROOM_INACTIVE: 'ROOM_INACTIVE',
+        ROOM_TOO_SMALL: 'ROOM_TOO_SMALL',
+        ROOM_RESTRICTED: 'ROOM_RESTRICTED',
+        ROOM_UNAVAILABLE: 'ROOM_UNAVAILABLE',
+        LIBRARY_CLOSED: 'LIBRARY_CLOSED',
+        OUTSIDE_HOURS: 'OUTSIDE_HOURS',
+        ROOM_CONFLICT: 'ROOM_CONFLICT',
+        SLOT_HELD: 'SLOT_HELD',
+        PENDING_CONFLICT: 'PENDING_CONFLICT',
+        DUPLICATE_REQUEST: 'DUPLICATE_REQUEST',
+        QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+        MEMBER_QUOTA_EXCEEDED: 'MEMBER_QUOTA_EXCEEDED',
+        NO_SHOW_BLOCKED: 'NO_SHOW_BLOCKED',
+    };
+
+    // Group size limits, including the organizer; the functions can override them
+    const MIN_PARTY_SIZE = 2;
+    const MAX_PARTY_SIZE = 6;
+
+    // Booking length limits, in minutes
+    const MIN_DURATION = 30;
+    const MAX_DURATION = 120;
+
+    // Shown when a required field is empty
+    const MISSING_FIELD_MESSAGES = {
+        room_id: 'Please select a room',
+        date: 'Please select a date',
+        start_time: 'Please select a start time',
+        duration: 'Please select a duration',
+        members: 'List the student IDs of the other members of your group',
+    };
+
+    /**
+     * Builds an error object.
+     * @param {string} code - One of ERROR_CODES.
+     * @param {string|null} field - Request body field at fault.
+     * @param {string} message - Shown to the student.
+     * @returns {{code: string, field: string|null, message: string}}
+     */
+    function validationError(code, field, message) {
+        return { code, field, message };
+    }
+
+    /**
+     * Checks the student ID format (6-7 digits).
+     * @param {string} id
+     * @returns {boolean}
+     */
+    function isValidStudentId(id) {
+        return /^[0-9]{6,7}$/.test(id);
+    }
+
+    /**
+     * Checks a "YYYY-MM-DD" date, rejecting rollovers such as 2024-02-31.
+     * @param {string} dateString
+     * @returns {boolean}
+     */
+    function isValidDate(dateString) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
+        if (!match) {
+            return false;
+        }
+
+        const [, year, month, day] = match.map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * Checks a "HH:MM" time of day.
+     * @param {string} timeString
+     * @returns {boolean}
+     */
+    function isValidTime(timeString) {
+        return /^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(timeString || '');
+    }
+
+    /**
+     * Validates the student IDs of everyone in a group besides the organizer.
+     * @param {Array<string>} members
+     * @param {string} organizerId
+     * @param {Object} [limits]
+     * @param {number} [limits.minPartySize]
+     * @param {number} [limits.maxPartySize]
+     * @returns {Object|null} An error, or null when the list is valid.
+     */
+    function validateMembers(members, organizerId, { minPartySize = MIN_PARTY_SIZE, maxPartySize = MAX_PARTY_SIZE } = {}) {
+        if (!Array.isArray(members)) {
+            return validationError(ERROR_CODES.INVALID_MEMBERS, 'members', 'members must be a list of student IDs');
+        }
+
+        const memberIds = members.map(member => String(member).trim());
+
+        const invalid = memberIds.find(memberId => !isValidStudentId(memberId));
+        if (invalid !== undefined) {
+            return validationError(ERROR_CODES.INVALID_STUDENT_ID, 'members',
+                `${invalid} is not a valid student ID. Student IDs are 6-7 digits.`);
+        }
+
+        if (memberIds.includes(organizerId)) {
+            return validationError(ERROR_CODES.ORGANIZER_LISTED, 'members',
+                'You are already in the group; list only the other members');
+        }
+
+        if (new Set(memberIds).size !== memberIds.length) {
+            return validationError(ERROR_CODES.DUPLICATE_MEMBER, 'members', 'Each member can only be listed once');
+        }
+
+        const partySize = memberIds.length + 1;
+        if (partySize < minPartySize || partySize > maxPartySize) {
+            return validationError(ERROR_CODES.INVALID_GROUP_SIZE, 'members',
+                `Groups must have ${minPartySize} to ${maxPartySize} people, including you`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Validates the date, start time and duration of a slot.
+     * @param {Object} slot
+     * @param {string} slot.date - "YYYY-MM-DD".
+     * @param {string} slot.start_time - "HH:MM".
+     * @param {number|string} slot.duration - Minutes.
+     * @returns {Object|null} The first error, or null when the slot is valid.
+     */
+    function validateSlot({ date, start_time, duration }) {
+        if (!isValidDate(date)) {
+            return validationError(ERROR_CODES.INVALID_DATE, 'date', 'Invalid date format. Must be YYYY-MM-DD.');
+        }
+
+        if (!isValidTime(start_time)) {
+            return validationError(ERROR_CODES.INVALID_START_TIME, 'start_time', 'Invalid start time format. Must be HH:MM.');
+        }
+
+        const minutes = Number(duration);
+        if (!Number.isFinite(minutes) || minutes < MIN_DURATION || minutes > MAX_DURATION) {
+            return validationError(ERROR_CODES.INVALID_DURATION, 'duration',
+                `Duration must be between ${MIN_DURATION} and ${MAX_DURATION} minutes.`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Validates the fields of a booking request that don't need the database.
+     * @param {Object} request - Request body for submitBookingRequest or joinWaitlist.
+     * @param {Object} options
+     * @param {string} options.organizerId - The signed-in student.
+     * @param {function(string, string): Date} options.toInstant - Converts a
+     *     library date and "HH:MM" time to an instant.
+     * @param {number} [options.minPartySize]
+     * @param {number} [options.maxPartySize]
+     * @param {boolean} [options.anyRoom] - room_id may be left empty to wait
+     *     for any room that fits.
+     * @returns {Object|null} The first error, or null when the request is valid.
+     */
+    function validateBookingRequest(request, { organizerId, toInstant, minPartySize, maxPartySize, anyRoom = false }) {
+        const missing = Object.keys(MISSING_FIELD_MESSAGES).find(field =>
+            (field !== 'room_id' || !anyRoom) &&
+            (request[field] === undefined || request[field] === null || request[field] === '')
+        );
+        if (missing) {
+            return validationError(ERROR_CODES.MISSING_FIELD, missing, MISSING_FIELD_MESSAGES[missing]);
+        }
+
+        const membersError = validateMembers(request.members, organizerId, { minPartySize, maxPartySize });
+        if (membersError) {
+            return membersError;
+        }
+
+        const slotError = validateSlot(request);
+        if (slotError) {
+            return slotError;
+        }
+
+        // Later occurrences of a recurring booking always follow the first
+        if (toInstant(request.date, request.start_time) <= new Date()) {
+            return validationError(ERROR_CODES.START_TIME_IN_PAST, 'start_time', 'Start time must be in the future');
+        }
+
+        return null;
+    }
+
+    return {
+        ERROR_CODES,
+        MIN_PARTY_SIZE,
+        MAX_PARTY_SIZE,
+        MIN_DURATION,
+        MAX_DURATION,
+        validationError,
+        isValidStudentId,
+        isValidDate,
+        isValidTime,
+        validateMembers,
+        validateSlot,
+        validateBookingRequest,
+    };
+}));